@@ -0,0 +1,537 @@
+/**
+ * recordingServer.js
+ * ------------------
+ * Local stand-in for the recording REST API consumed by
+ * src/services/httpRecordingService.js. Implements the same
+ * contract (see that file's header, and chunkedUpload.js for
+ * the resumable /uploads endpoints) with plain Node.js and no
+ * dependencies, storing media files and a JSON index on disk.
+ *
+ * Usage:
+ *   npm run server
+ *   REACT_APP_STORAGE_TYPE=http REACT_APP_API_URL=http://localhost:4000 npm start
+ *
+ * Environment:
+ *   RECORDING_SERVER_PORT      Port to listen on (default 4000)
+ *   RECORDING_SERVER_DATA_DIR  Storage directory (default server/data)
+ *   RECORDING_SERVER_MAX_MB    Max upload size in MB (default 200)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.RECORDING_SERVER_PORT) || 4000;
+const DATA_DIR = process.env.RECORDING_SERVER_DATA_DIR || path.join(__dirname, 'data');
+const MEDIA_DIR = path.join(DATA_DIR, 'media');
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const INDEX_FILE = path.join(DATA_DIR, 'index.json');
+const MAX_UPLOAD_BYTES = (Number(process.env.RECORDING_SERVER_MAX_MB) || 200) * 1024 * 1024;
+const MAX_CHUNK_BYTES = 16 * 1024 * 1024;
+
+// Served for media stored without a (known) mime type
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+// tus-style status for a chunk whose checksum does not match
+const CHECKSUM_MISMATCH_STATUS = 460;
+
+// Fields a PATCH request may change
+const PATCHABLE_FIELDS = ['fileName', 'fileType', 'mimeType', 'createdAt'];
+
+// GET /recordings?limit=N paging (mirrors SERVICE_CONFIG.QUERY)
+const QUERY_DEFAULT_LIMIT = 20;
+const QUERY_MAX_LIMIT = 100;
+
+// ----------------------------------------------------------
+// Storage
+// ----------------------------------------------------------
+
+fs.mkdirSync(MEDIA_DIR, { recursive: true });
+fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+
+function readIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeIndex(recordings) {
+  // Write then rename so a crash never leaves a half-written index
+  const tmpFile = `${INDEX_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(recordings, null, 2));
+  fs.renameSync(tmpFile, INDEX_FILE);
+}
+
+function mediaPath(id) {
+  return path.join(MEDIA_DIR, path.basename(id));
+}
+
+function newRecordingId() {
+  return `srv_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+}
+
+function addToIndex(recording) {
+  const recordings = readIndex();
+  recordings.push(recording);
+  writeIndex(recordings);
+  console.log('Stored recording', recording.id, recording.fileName);
+}
+
+// Resumable upload state: <id>.json metadata next to <id>.part bytes
+function uploadStatePath(uploadId) {
+  return path.join(UPLOADS_DIR, `${path.basename(uploadId)}.json`);
+}
+
+function uploadPartPath(uploadId) {
+  return path.join(UPLOADS_DIR, `${path.basename(uploadId)}.part`);
+}
+
+function readUpload(uploadId) {
+  try {
+    return JSON.parse(fs.readFileSync(uploadStatePath(uploadId), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeUpload(upload) {
+  fs.writeFileSync(uploadStatePath(upload.uploadId), JSON.stringify(upload));
+}
+
+// ----------------------------------------------------------
+// HTTP helpers
+// ----------------------------------------------------------
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJson(res, status, { error: message });
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        // Stop reading; the connection is closed once the 413 is sent
+        req.removeAllListeners('data');
+        req.pause();
+        reject(Object.assign(new Error('Payload too large'), { status: 413, closeConnection: true }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req) {
+  const body = await readBody(req, 1024 * 1024);
+  try {
+    return body.length ? JSON.parse(body.toString('utf8')) : {};
+  } catch (err) {
+    throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+  }
+}
+
+/**
+ * Minimal multipart/form-data parser.
+ * @returns {Object} fields by name; file parts are { filename, contentType, data }
+ */
+function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!match) {
+    throw Object.assign(new Error('Missing multipart boundary'), { status: 400 });
+  }
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+
+  let start = buffer.indexOf(boundary);
+  while (start !== -1) {
+    const partStart = start + boundary.length;
+    // Closing boundary is followed by "--"
+    if (buffer.slice(partStart, partStart + 2).toString() === '--') break;
+
+    const next = buffer.indexOf(boundary, partStart);
+    if (next === -1) break;
+
+    // Part = CRLF headers CRLFCRLF body CRLF
+    const part = buffer.slice(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.slice(0, headerEnd).toString('utf8');
+    const data = part.slice(headerEnd + 4);
+
+    const name = /name="([^"]*)"/i.exec(headers)?.[1];
+    const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+    const partType = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1];
+
+    if (name) {
+      fields[name] = filename !== undefined
+        ? { filename, contentType: partType || 'application/octet-stream', data }
+        : data.toString('utf8');
+    }
+    start = next;
+  }
+  return fields;
+}
+
+// ----------------------------------------------------------
+// Route handlers
+// ----------------------------------------------------------
+
+async function createRecording(req, res) {
+  const body = await readBody(req, MAX_UPLOAD_BYTES);
+  const fields = parseMultipart(body, req.headers['content-type']);
+
+  if (!fields.file || typeof fields.file !== 'object') {
+    return sendError(res, 400, 'Missing "file" part');
+  }
+  if (fields.fileType !== 'audio' && fields.fileType !== 'video') {
+    return sendError(res, 400, 'fileType must be "audio" or "video"');
+  }
+
+  const id = newRecordingId();
+  fs.writeFileSync(mediaPath(id), fields.file.data);
+
+  const recording = {
+    id,
+    fileName: fields.fileName || fields.file.filename,
+    fileType: fields.fileType,
+    mimeType: fields.mimeType || fields.file.contentType || DEFAULT_MIME_TYPE,
+    size: fields.file.data.length,
+    contentHash: crypto.createHash('sha256').update(fields.file.data).digest('hex'),
+    createdAt: new Date().toISOString()
+  };
+
+  addToIndex(recording);
+  return sendJson(res, 201, recording);
+}
+
+// Creation time in epoch ms: createdAt, else the file name's
+// "YYYY-MM-DD_HHMMSS" prefix (same rules as recordingQuery.js)
+function recordingTimestamp(recording) {
+  const millis = new Date(recording.createdAt).getTime();
+  if (!Number.isNaN(millis)) return millis;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})_(\d{2})(\d{2})(\d{2})/.exec(recording.fileName || '');
+  if (!match) return 0;
+  const [, yr, mo, dy, hh, mm, ss] = match.map(Number);
+  return new Date(yr, mo - 1, dy, hh, mm, ss).getTime();
+}
+
+function parseBound(value, name) {
+  if (!value) return null;
+  const millis = new Date(value).getTime();
+  if (Number.isNaN(millis)) throw Object.assign(new Error(`Invalid "${name}" date`), { status: 400 });
+  return millis;
+}
+
+function parseCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (typeof position.t === 'number' && typeof position.id === 'string') return position;
+  } catch (err) {
+    // Fall through
+  }
+  throw Object.assign(new Error('Invalid query cursor'), { status: 400 });
+}
+
+// Filter, sort and page the index; keyset cursor on (createdAt, id)
+function queryIndex(searchParams) {
+  const fileType = searchParams.get('fileType');
+  const from = parseBound(searchParams.get('from'), 'from');
+  const to = parseBound(searchParams.get('to'), 'to');
+  const cursor = parseCursor(searchParams.get('cursor'));
+  const direction = searchParams.get('sort') === 'oldest' ? 1 : -1;
+  const limit = Math.min(Math.max(Number(searchParams.get('limit')) || QUERY_DEFAULT_LIMIT, 1), QUERY_MAX_LIMIT);
+
+  const compare = (a, b) => (a.t !== b.t ? (a.t - b.t) : a.id.localeCompare(b.id)) * direction;
+
+  const matches = readIndex()
+    .map((recording) => ({ recording, t: recordingTimestamp(recording), id: String(recording.id) }))
+    .filter(({ recording, t }) => (
+      (!fileType || recording.fileType === fileType) &&
+      (from === null || t >= from) &&
+      (to === null || t < to)
+    ))
+    .filter((entry) => !cursor || compare(entry, cursor) > 0)
+    .sort(compare);
+
+  const page = matches.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    items: page.map((entry) => entry.recording),
+    nextCursor: matches.length > limit
+      ? Buffer.from(JSON.stringify({ t: last.t, id: last.id })).toString('base64')
+      : null
+  };
+}
+
+function listRecordings(req, res) {
+  const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+  // ?contentHash=<sha256 hex> => recordings with exactly that media
+  if (searchParams.has('contentHash')) {
+    const hash = searchParams.get('contentHash').toLowerCase();
+    return sendJson(res, 200, readIndex().filter((r) => r.contentHash === hash));
+  }
+  // Without ?limit the full list is returned (fetchAllRecordings)
+  if (!searchParams.has('limit')) {
+    return sendJson(res, 200, readIndex());
+  }
+  return sendJson(res, 200, queryIndex(searchParams));
+}
+
+function getRecording(req, res, id) {
+  const recording = readIndex().find((r) => r.id === id);
+  if (!recording) return sendError(res, 404, 'Recording not found');
+  return sendJson(res, 200, recording);
+}
+
+async function patchRecording(req, res, id) {
+  const patch = await readJson(req);
+  const recordings = readIndex();
+  const index = recordings.findIndex((r) => r.id === id);
+  if (index === -1) return sendError(res, 404, 'Recording not found');
+
+  PATCHABLE_FIELDS.forEach((field) => {
+    if (patch[field] !== undefined) {
+      recordings[index][field] = patch[field];
+    }
+  });
+  writeIndex(recordings);
+  return sendJson(res, 200, recordings[index]);
+}
+
+function deleteRecording(req, res, id) {
+  const recordings = readIndex();
+  const remaining = recordings.filter((r) => r.id !== id);
+  if (remaining.length === recordings.length) return sendError(res, 404, 'Recording not found');
+
+  writeIndex(remaining);
+  fs.rmSync(mediaPath(id), { force: true });
+  res.writeHead(204);
+  return res.end();
+}
+
+// Parse a single "bytes=" range against a file size. Returns
+// { start, end }, 'unsatisfiable', or null to ignore the header
+// (absent, malformed or multi-range).
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  // "bytes=-N": the last N bytes
+  if (!match[1]) {
+    const suffix = Number(match[2]);
+    if (suffix === 0 || size === 0) return 'unsatisfiable';
+    return { start: Math.max(size - suffix, 0), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  if (start >= size || end < start) return 'unsatisfiable';
+  return { start, end };
+}
+
+function streamMedia(req, res, id) {
+  const recording = readIndex().find((r) => r.id === id);
+  if (!recording || !fs.existsSync(mediaPath(id))) {
+    return sendError(res, 404, 'Media not found');
+  }
+
+  const { size } = fs.statSync(mediaPath(id));
+  const contentType = recording.mimeType || DEFAULT_MIME_TYPE;
+  const range = parseRange(req.headers.range, size);
+
+  // Range support so <video> can seek
+  if (range === 'unsatisfiable') {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return sendError(res, 416, 'Range not satisfiable');
+  }
+  if (range) {
+    const { start, end } = range;
+    res.writeHead(206, {
+      'Content-Type': contentType,
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    });
+    return fs.createReadStream(mediaPath(id), { start, end }).pipe(res);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': size,
+    'Accept-Ranges': 'bytes'
+  });
+  return fs.createReadStream(mediaPath(id)).pipe(res);
+}
+
+// ----------------------------------------------------------
+// Resumable uploads (see src/services/chunkedUpload.js)
+// ----------------------------------------------------------
+
+async function createUpload(req, res) {
+  const { fileName, fileType, mimeType, length } = await readJson(req);
+
+  if (fileType !== 'audio' && fileType !== 'video') {
+    return sendError(res, 400, 'fileType must be "audio" or "video"');
+  }
+  if (!Number.isInteger(length) || length <= 0) {
+    return sendError(res, 400, 'length must be a positive integer');
+  }
+  if (length > MAX_UPLOAD_BYTES) {
+    return sendError(res, 413, 'Upload too large');
+  }
+
+  const upload = {
+    uploadId: `upl_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+    fileName,
+    fileType,
+    mimeType: mimeType || DEFAULT_MIME_TYPE,
+    length,
+    offset: 0,
+    createdAt: new Date().toISOString()
+  };
+  fs.writeFileSync(uploadPartPath(upload.uploadId), Buffer.alloc(0));
+  writeUpload(upload);
+
+  return sendJson(res, 201, { uploadId: upload.uploadId, offset: 0 });
+}
+
+function headUpload(req, res, uploadId) {
+  const upload = readUpload(uploadId);
+  if (!upload) {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, {
+    'Upload-Offset': upload.offset,
+    'Upload-Length': upload.length,
+    'Cache-Control': 'no-store'
+  });
+  return res.end();
+}
+
+async function patchUpload(req, res, uploadId) {
+  const upload = readUpload(uploadId);
+  if (!upload) return sendError(res, 404, 'Upload not found');
+
+  const offset = Number(req.headers['upload-offset']);
+  if (offset !== upload.offset) {
+    res.setHeader('Upload-Offset', upload.offset);
+    return sendError(res, 409, `Offset mismatch: expected ${upload.offset}`);
+  }
+
+  const chunk = await readBody(req, MAX_CHUNK_BYTES);
+  if (upload.offset + chunk.length > upload.length) {
+    return sendError(res, 400, 'Chunk exceeds declared upload length');
+  }
+
+  // "sha256 <base64>" - verified when present
+  const checksumHeader = req.headers['upload-checksum'];
+  if (checksumHeader) {
+    const [algorithm, expected] = checksumHeader.split(' ');
+    if (algorithm !== 'sha256') {
+      return sendError(res, 400, `Unsupported checksum algorithm: ${algorithm}`);
+    }
+    const actual = crypto.createHash('sha256').update(chunk).digest('base64');
+    if (actual !== expected) {
+      return sendError(res, CHECKSUM_MISMATCH_STATUS, 'Checksum mismatch');
+    }
+  }
+
+  fs.appendFileSync(uploadPartPath(uploadId), chunk);
+  upload.offset += chunk.length;
+  res.setHeader('Upload-Offset', upload.offset);
+
+  if (upload.offset < upload.length) {
+    writeUpload(upload);
+    res.writeHead(204);
+    return res.end();
+  }
+
+  // Final chunk: promote the upload to a recording
+  const id = newRecordingId();
+  fs.renameSync(uploadPartPath(uploadId), mediaPath(id));
+  fs.rmSync(uploadStatePath(uploadId), { force: true });
+
+  const recording = {
+    id,
+    fileName: upload.fileName,
+    fileType: upload.fileType,
+    mimeType: upload.mimeType,
+    size: upload.length,
+    contentHash: crypto.createHash('sha256').update(fs.readFileSync(mediaPath(id))).digest('hex'),
+    createdAt: new Date().toISOString()
+  };
+  addToIndex(recording);
+  return sendJson(res, 200, recording);
+}
+
+// [method, path pattern, handler]; captured groups are passed as arguments
+const ROUTES = [
+  ['POST', /^\/recordings$/, createRecording],
+  ['GET', /^\/recordings$/, listRecordings],
+  ['GET', /^\/recordings\/([^/]+)$/, getRecording],
+  ['PATCH', /^\/recordings\/([^/]+)$/, patchRecording],
+  ['DELETE', /^\/recordings\/([^/]+)$/, deleteRecording],
+  ['GET', /^\/recordings\/([^/]+)\/media$/, streamMedia],
+  ['POST', /^\/uploads$/, createUpload],
+  ['HEAD', /^\/uploads\/([^/]+)$/, headUpload],
+  ['PATCH', /^\/uploads\/([^/]+)$/, patchUpload]
+];
+
+// ----------------------------------------------------------
+// Server
+// ----------------------------------------------------------
+
+const server = http.createServer(async (req, res) => {
+  // The dev client runs on another origin
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, Upload-Offset, Upload-Checksum');
+  res.setHeader('Access-Control-Expose-Headers', 'Upload-Offset, Upload-Length');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  for (const [method, pattern, handler] of ROUTES) {
+    const match = pattern.exec(pathname);
+    if (match && req.method === method) {
+      try {
+        const params = match.slice(1).map(decodeURIComponent);
+        return await handler(req, res, ...params);
+      } catch (err) {
+        console.error(`${req.method} ${pathname} failed:`, err.message);
+        if (err.closeConnection) {
+          // The rest of the request body is never read
+          res.setHeader('Connection', 'close');
+          res.on('finish', () => req.destroy());
+        }
+        return sendError(res, err.status || 500, err.message);
+      }
+    }
+  }
+
+  return sendError(res, 404, 'Not found');
+});
+
+server.listen(PORT, () => {
+  console.log(`Recording server listening on http://localhost:${PORT}`);
+  console.log(`Storing data in ${DATA_DIR}`);
+});
@@ -5,14 +5,15 @@
  * Refactored to use useReducer and extracted components while preserving exact UI behavior.
  */
 
-import React, { useReducer, useState, useCallback, useEffect } from 'react';
+import React, { useReducer, useState, useCallback, useRef } from 'react';
 import { FaMicrophoneAlt, FaVideo, FaCircle, FaPause, FaPlay, FaUndo, FaCloudUploadAlt } from 'react-icons/fa';
 
 // Configuration
-import { RECORDING_LIMITS, TIME_FORMAT } from './config';
+import { COLORS, RECORDING_LIMITS, TIME_FORMAT } from './config';
 
 // State management
 import { appReducer, initialAppState, APP_ACTIONS } from './reducers/appReducer';
+import { RECORDING_STATES, RECORDING_EVENTS, isSubmitStage } from './reducers/recordingMachine';
 
 // Extracted components
 import RecordingFlow from './components/RecordingFlow';
@@ -26,12 +27,18 @@ import PromptCard from './components/PromptCard';
 import RecordingBar from './components/RecordingBar';
 import VideoPreview from './components/VideoPreview';
 import AudioRecorder from './components/AudioRecorder';
+import DevicePicker from './components/DevicePicker';
 import CountdownOverlay from './components/CountdownOverlay';
 import ProgressOverlay from './components/ProgressOverlay';
 import RadixStartOverDialog from './components/RadixStartOverDialog';
-import PlyrMediaPlayer from './components/PlyrMediaPlayer';
+import TakesReview from './components/TakesReview';
 import ConfettiScreen from './components/confettiScreen';
 import AppBanner from './components/AppBanner';
+import UploadQueueStatus from './components/UploadQueueStatus';
+import StorageWarning from './components/StorageWarning';
+import SessionRecoveryPrompt from './components/SessionRecoveryPrompt';
+import UploadErrorPanel from './components/UploadErrorPanel';
+import MediaAccessRecovery from './components/MediaAccessRecovery';
 
 import './styles/App.css';
 
@@ -42,20 +49,17 @@ function App() {
   // Radix Dialog state for Start Over confirmation
   const [showStartOverDialog, setShowStartOverDialog] = useState(false);
   
+  // AbortController for the upload in flight (null when idle)
+  const uploadControllerRef = useRef(null);
+
   // Player ready state for loading handling
   const [isPlayerReady, setIsPlayerReady] = useState(false);
 
-  // Reset player ready state when entering review mode
-  useEffect(() => {
-    if (appState.submitStage) {
-      setIsPlayerReady(false);
-    }
-  }, [appState.submitStage]);
-
-  // Create auto-transition handler that will be passed to RecordingFlow
+  // Auto-stop at max duration: the flow moves on to review by itself,
+  // so only reset the player ready state for the new take
   const handleAutoTransition = useCallback(() => {
-    dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: true });
-  }, [dispatch]);
+    setIsPlayerReady(false);
+  }, []);
 
   return (
     <RecordingFlow 
@@ -64,12 +68,23 @@ function App() {
       {(recordingFlowState) => {
         const {
           captureMode,
+          recordingStatus,
+          mediaError,
+          sendRecordingEvent,
           countdownActive,
           countdownValue,
           isRecording,
           isPaused,
           elapsedSeconds,
-          recordedBlobUrl,
+          takes,
+          selectedTakeIds,
+          canRecordAnotherTake,
+          toggleTakeSelected,
+          getTakeBlob,
+          releaseTake,
+          recoverSession,
+          recordAnotherTake,
+          returnToReview,
           mediaStream,
           handleVideoClick,
           handleAudioClick,
@@ -77,18 +92,24 @@ function App() {
           handlePause,
           handleResume,
           handleDone,
-          setCaptureMode,
-          actualMimeType,
+          switchDevices,
         } = recordingFlowState;
 
+        // Screens derived from the recording state machine
+        const submitStage = isSubmitStage(recordingStatus);
+        const uploadInProgress = recordingStatus === RECORDING_STATES.UPLOADING;
+
         // Initialize extracted components and utility functions
-        const handleSubmit = createSubmissionHandler({
-          recordedBlobUrl,
-          captureMode,
-          actualMimeType,
+        const { handleSubmit, handleSaveForLater, handleCancelUpload } = createSubmissionHandler({
+          takes,
+          selectedTakeIds,
+          getTakeBlob,
+          releaseTake,
           appState,
           dispatch,
-          APP_ACTIONS
+          APP_ACTIONS,
+          sendRecordingEvent,
+          uploadControllerRef
         });
 
         const navigationHandlers = createNavigationHandlers({
@@ -96,9 +117,12 @@ function App() {
           dispatch,
           APP_ACTIONS,
           handleDone,
-          setCaptureMode,
+          sendRecordingEvent,
           setShowStartOverDialog,
-          setIsPlayerReady
+          setIsPlayerReady,
+          takes,
+          getTakeBlob,
+          releaseTake
         });
 
         // Format Time utility (using constants for maintainability)
@@ -111,6 +135,17 @@ function App() {
 
         // Render Helpers (preserves exact logic from original App.js:252-348)
         function renderReviewButtons() {
+          if (appState.uploadError) {
+            return (
+              <UploadErrorPanel
+                error={appState.uploadError}
+                onRetry={handleSubmit}
+                onSaveLocally={handleSaveForLater}
+                onStartOver={navigationHandlers.handleStartOverClick}
+              />
+            );
+          }
+
           return renderTwoButtonRow(
             <>
               <FaUndo style={{ marginRight: '8px' }} />
@@ -119,7 +154,7 @@ function App() {
             navigationHandlers.handleStartOverClick,
             <>
               <FaCloudUploadAlt style={{ marginRight: '8px' }} />
-              Upload
+              {selectedTakeIds.length > 1 ? `Upload ${selectedTakeIds.length} takes` : 'Upload'}
             </>,
             handleSubmit
           );
@@ -169,63 +204,77 @@ function App() {
         }
 
         function renderBottomRow() {
-          // Show "Audio" & "Video" if no stream, captureMode == null, and not in submit stage
-          if (!mediaStream && captureMode == null && !appState.submitStage) {
-            return renderTwoButtonRow(
-              <>
-                <FaMicrophoneAlt style={{ marginRight: '8px' }} />
-                Audio
-              </>,
-              handleAudioClick,
-              <>
-                <FaVideo style={{ marginRight: '8px' }} />
-                Video
-              </>,
-              handleVideoClick
-            );
-          }
+          switch (recordingStatus) {
+            case RECORDING_STATES.IDLE:
+              // Choose "Audio" or "Video"
+              return renderTwoButtonRow(
+                <>
+                  <FaMicrophoneAlt style={{ marginRight: '8px' }} />
+                  Audio
+                </>,
+                handleAudioClick,
+                <>
+                  <FaVideo style={{ marginRight: '8px' }} />
+                  Video
+                </>,
+                handleVideoClick
+              );
 
-          if (!isRecording && !isPaused && !appState.submitStage && mediaStream) {
-            // Start
-            return renderSingleButtonPlusPreview(
-              <>
-                <FaCircle style={{ marginRight: '8px' }} />
-                Start recording
-              </>,
-              handleStartRecording
-            );
-          }
+            case RECORDING_STATES.MEDIA_ERROR:
+              // Camera/microphone unavailable: explain and offer a way out
+              return (
+                <MediaAccessRecovery
+                  error={mediaError}
+                  captureMode={captureMode}
+                  onRetry={captureMode === 'video' ? handleVideoClick : handleAudioClick}
+                  onSwitchMode={captureMode === 'video' ? handleAudioClick : handleVideoClick}
+                  onBack={takes.length > 0
+                    ? returnToReview
+                    : () => sendRecordingEvent({ type: RECORDING_EVENTS.START_OVER })}
+                />
+              );
 
-          if (isRecording && !isPaused && !appState.submitStage) {
-            // Pause
-            return renderSingleButtonPlusPreview(
-              <>
-                <FaPause style={{ marginRight: '8px' }} />
-                Pause
-              </>,
-              handlePause
-            );
-          }
+            case RECORDING_STATES.READY:
+            case RECORDING_STATES.COUNTDOWN:
+              // Start
+              return renderSingleButtonPlusPreview(
+                <>
+                  <FaCircle style={{ marginRight: '8px' }} />
+                  Start recording
+                </>,
+                handleStartRecording
+              );
 
-          if (isPaused && !appState.submitStage) {
-            // Resume + Done
-            return renderTwoButtonRow(
-              <>
-                <FaPlay style={{ marginRight: '8px' }} />
-                Resume
-              </>,
-              handleResume,
-              'Done',
-              navigationHandlers.handleDoneAndSubmitStage
-            );
-          }
+            case RECORDING_STATES.RECORDING:
+              // Pause
+              return renderSingleButtonPlusPreview(
+                <>
+                  <FaPause style={{ marginRight: '8px' }} />
+                  Pause
+                </>,
+                handlePause
+              );
+
+            case RECORDING_STATES.PAUSED:
+              // Resume + Done
+              return renderTwoButtonRow(
+                <>
+                  <FaPlay style={{ marginRight: '8px' }} />
+                  Resume
+                </>,
+                handleResume,
+                'Done',
+                navigationHandlers.handleDoneAndSubmitStage
+              );
 
-          return null;
+            default:
+              return null;
+          }
         }
 
         // Confetti Short-Circuit (preserves exact logic from original App.js:106-108)
-        if (appState.showConfetti) {
-          return <ConfettiScreen docId={appState.docId} />;
+        if (recordingStatus === RECORDING_STATES.DONE) {
+          return <ConfettiScreen docId={appState.docId} queued={appState.queuedUploadIds.length > 0} />;
         }
 
         // Main UI (preserves exact JSX structure from original App.js:353-489)
@@ -266,36 +315,79 @@ function App() {
                 <AppBanner logoSize={30} />
               </div>
               <div className="prompt-section">
-                {!appState.submitStage ? (
-                  <PromptCard />
-                ) : !recordedBlobUrl ? (
+                {recordingStatus === RECORDING_STATES.IDLE && (
+                  <SessionRecoveryPrompt onRecover={recoverSession} style={{ marginBottom: '12px' }} />
+                )}
+                {!submitStage && !mediaStream && (
+                  <UploadQueueStatus style={{ marginBottom: '12px' }} />
+                )}
+                {!submitStage && !mediaStream && captureMode == null && (
+                  <StorageWarning style={{ marginBottom: '12px' }} />
+                )}
+                {!submitStage ? (
+                  <>
+                    <PromptCard />
+                    {takes.length > 0 && recordingStatus === RECORDING_STATES.READY && (
+                      <button
+                        type="button"
+                        onClick={returnToReview}
+                        style={{
+                          border: 'none',
+                          background: 'none',
+                          color: COLORS.PRIMARY_DARK,
+                          fontSize: '0.9rem',
+                          textDecoration: 'underline',
+                          cursor: 'pointer',
+                          marginTop: '8px',
+                          padding: 0
+                        }}
+                      >
+                        Back to your takes ({takes.length})
+                      </button>
+                    )}
+                  </>
+                ) : recordingStatus === RECORDING_STATES.STOPPING || takes.length === 0 ? (
                   <div className="review-content">
                     <div className="review-title">Review your recording</div>
                     <div className="loading-message">Preparing your recording...</div>
                   </div>
                 ) : (
-                  <div className="review-content">
-                    <div className="review-title">Review your recording</div>
-                    <PlyrMediaPlayer
-                      src={recordedBlobUrl}
-                      type={captureMode}
-                      actualMimeType={actualMimeType}
-                      onReady={() => setIsPlayerReady(true)}
-                      className="inline-media-player"
-                    />
-                  </div>
+                  <TakesReview
+                    takes={takes}
+                    selectedTakeIds={selectedTakeIds}
+                    onToggleTake={toggleTakeSelected}
+                    onRecordAnother={recordAnotherTake}
+                    canRecordAnother={canRecordAnotherTake && recordingStatus === RECORDING_STATES.REVIEW}
+                    onPlayerReady={() => setIsPlayerReady(true)}
+                    formatTime={formatTime}
+                  />
                 )}
               </div>
               <div 
                 className="spacing-section"
                 style={{
-                  visibility: (mediaStream || appState.submitStage) ? 'hidden' : 'visible',
+                  visibility: (recordingStatus === RECORDING_STATES.IDLE ||
+                    recordingStatus === RECORDING_STATES.READY) ? 'visible' : 'hidden',
                 }}
               >
-                Choose your recording mode
+                {recordingStatus === RECORDING_STATES.READY ? (
+                  <DevicePicker
+                    captureMode={captureMode}
+                    audioInputs={recordingFlowState.audioInputs}
+                    videoInputs={recordingFlowState.videoInputs}
+                    activeAudioId={recordingFlowState.activeAudioId}
+                    activeVideoId={recordingFlowState.activeVideoId}
+                    facingMode={recordingFlowState.facingMode}
+                    canFlipCamera={recordingFlowState.canFlipCamera}
+                    disabled={recordingFlowState.switchingDevice}
+                    onSwitch={switchDevices}
+                  />
+                ) : (
+                  'Choose your recording mode'
+                )}
               </div>
               <div className="actions-section">
-                {appState.submitStage ? renderReviewButtons() : renderBottomRow()}
+                {submitStage ? renderReviewButtons() : renderBottomRow()}
               </div>
             </div>
 
@@ -313,8 +405,8 @@ function App() {
             />
 
             {/* Upload Overlay => progress */}
-            {appState.uploadInProgress && (
-              <ProgressOverlay fraction={appState.uploadFraction} />
+            {uploadInProgress && (
+              <ProgressOverlay fraction={appState.uploadFraction} onCancel={handleCancelUpload} />
             )}
             </div>
           </>
@@ -0,0 +1,160 @@
+/**
+ * DevicePicker.jsx
+ * ----------------
+ * Microphone and camera selection for the ready screen, shown
+ * above the live preview. Changing a device swaps the stream
+ * before recording starts; the choice is remembered for the
+ * next visit (see hooks/useMediaDevices.js). When the camera
+ * reports which way it faces (phones do, most webcams don't) and
+ * there is another one, there is also a front/back toggle, which
+ * is easier on phones than picking cameras by name.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaSyncAlt } from 'react-icons/fa';
+import { COLORS, MEDIA_DEVICES } from '../config';
+import { MEDIA_ERRORS } from '../utils/errors';
+
+const [FRONT, BACK] = MEDIA_DEVICES.FACING_MODES;
+
+// What to tell the user when a switch fails, by MEDIA_ERRORS reason
+function switchFailureMessage(reason, change) {
+  switch (reason) {
+    case MEDIA_ERRORS.UNSUPPORTED:
+      return change.facingMode
+        ? "This camera can't switch between front and back. Pick a camera from the list instead."
+        : "That device doesn't support the required settings.";
+    case MEDIA_ERRORS.NO_DEVICE:
+      return "Couldn't find that device. It may have been unplugged.";
+    case MEDIA_ERRORS.IN_USE:
+      return "Couldn't switch to that device. It may be in use by another app.";
+    default:
+      return "Couldn't switch to that device.";
+  }
+}
+
+// "Microphone 2" for devices the browser has not labelled
+function deviceLabel(device, index, fallback) {
+  return device.label || `${fallback} ${index + 1}`;
+}
+
+function DevicePicker({
+  captureMode,
+  audioInputs,
+  videoInputs,
+  activeAudioId,
+  activeVideoId,
+  facingMode,
+  canFlipCamera,
+  disabled,
+  onSwitch,
+  style
+}) {
+  const [failure, setFailure] = useState(null);
+
+  const showCameras = captureMode === 'video' && videoInputs.length > 1;
+  if (audioInputs.length <= 1 && !showCameras && !(captureMode === 'video' && canFlipCamera)) {
+    return null;
+  }
+
+  const handleSwitch = async (change) => {
+    setFailure(null);
+    const reason = await onSwitch(change);
+    setFailure(reason && switchFailureMessage(reason, change));
+  };
+
+  const selectStyle = {
+    flex: '1 1 0',
+    minWidth: 0,
+    fontSize: '0.85rem',
+    padding: '6px 8px',
+    borderRadius: '6px',
+    border: '1px solid #ccc',
+    backgroundColor: '#FFFFFF',
+    color: COLORS.PRIMARY_DARK
+  };
+
+  return (
+    <div style={{ width: '100%', ...style }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        {audioInputs.length > 1 && (
+          <select
+            aria-label="Microphone"
+            value={activeAudioId || ''}
+            disabled={disabled}
+            onChange={(e) => handleSwitch({ audioInputId: e.target.value })}
+            style={selectStyle}
+          >
+            {audioInputs.map((device, index) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {deviceLabel(device, index, 'Microphone')}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {showCameras && (
+          <select
+            aria-label="Camera"
+            value={activeVideoId || ''}
+            disabled={disabled}
+            onChange={(e) => handleSwitch({ videoInputId: e.target.value, facingMode: null })}
+            style={selectStyle}
+          >
+            {videoInputs.map((device, index) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {deviceLabel(device, index, 'Camera')}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {captureMode === 'video' && canFlipCamera && (
+          <button
+            type="button"
+            aria-label="Switch between front and back camera"
+            disabled={disabled}
+            onClick={() => handleSwitch({
+              facingMode: facingMode === BACK ? FRONT : BACK,
+              videoInputId: null
+            })}
+            style={{
+              border: 'none',
+              borderRadius: '6px',
+              padding: '8px 10px',
+              cursor: disabled ? 'default' : 'pointer',
+              backgroundColor: COLORS.PRIMARY_DARK,
+              color: COLORS.PRIMARY_LIGHT,
+              display: 'flex',
+              alignItems: 'center'
+            }}
+          >
+            <FaSyncAlt />
+          </button>
+        )}
+      </div>
+
+      {failure && (
+        <div role="alert" style={{ color: COLORS.RECORDING_RED, fontSize: '0.8rem', marginTop: '4px' }}>
+          {failure}
+        </div>
+      )}
+    </div>
+  );
+}
+
+DevicePicker.propTypes = {
+  captureMode: PropTypes.oneOf(['audio', 'video']),
+  audioInputs: PropTypes.arrayOf(PropTypes.object).isRequired, // MediaDeviceInfo
+  videoInputs: PropTypes.arrayOf(PropTypes.object).isRequired,
+  activeAudioId: PropTypes.string,
+  activeVideoId: PropTypes.string,
+  facingMode: PropTypes.oneOf(MEDIA_DEVICES.FACING_MODES),
+  canFlipCamera: PropTypes.bool,
+  disabled: PropTypes.bool,
+  onSwitch: PropTypes.func.isRequired, // (change) => Promise<reason|null>
+  style: PropTypes.object
+};
+
+export default DevicePicker;
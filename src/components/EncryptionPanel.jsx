@@ -0,0 +1,130 @@
+/**
+ * EncryptionPanel.jsx
+ * -------------------
+ * Admin controls for encryption at rest on this device: set a
+ * passphrase (which also encrypts recordings already stored),
+ * or lock the recordings again once set up. Only meaningful
+ * for the local backend, which is the only one storing data
+ * in the browser.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { COLORS, SERVICE_CONFIG } from '../config';
+import useEncryptionState from '../hooks/useEncryptionState';
+import { setupEncryption, lock } from '../services/encryption';
+import { encryptStoredRecordings } from '../services/localRecordingService';
+
+function EncryptionPanel({ style }) {
+  const { enabled } = useEncryptionState();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const buttonStyle = {
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.85rem',
+    padding: '6px 12px',
+    cursor: 'pointer',
+    backgroundColor: COLORS.PRIMARY_DARK,
+    color: COLORS.PRIMARY_LIGHT
+  };
+  const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    fontSize: '0.9rem',
+    padding: '6px',
+    borderRadius: '6px',
+    border: '1px solid #ccc',
+    marginBottom: '8px'
+  };
+
+  const handleSetup = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (passphrase !== confirmation) {
+      setError('The passphrases do not match.');
+      return;
+    }
+    const warning = 'If you forget this passphrase, encrypted recordings cannot be recovered. Continue?';
+    if (!window.confirm(warning)) {
+      return;
+    }
+
+    setProgress({ done: 0, total: 0 });
+    try {
+      await setupEncryption(passphrase);
+      await encryptStoredRecordings((done, total) => setProgress({ done, total }));
+      setPassphrase('');
+      setConfirmation('');
+    } catch (err) {
+      console.error('Error setting up encryption:', err);
+      setError(err.message || 'Failed to set up encryption.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#fff',
+        border: '1px solid #ccc',
+        borderRadius: '8px',
+        padding: '12px',
+        fontSize: '0.9rem',
+        ...style
+      }}
+    >
+      <div style={{ marginBottom: '8px' }}><strong>Encryption</strong></div>
+
+      {enabled ? (
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' }}>
+          <span style={{ color: COLORS.TEXT_GRAY }}>
+            Recordings on this device are encrypted with your passphrase.
+          </span>
+          <button type="button" onClick={lock} style={{ ...buttonStyle, flexShrink: 0 }}>
+            Lock
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSetup}>
+          <p style={{ color: COLORS.TEXT_GRAY, marginTop: 0 }}>
+            Protect recordings stored on this device with a passphrase
+            (at least {SERVICE_CONFIG.ENCRYPTION.MIN_PASSPHRASE_LENGTH} characters).
+          </p>
+          <input
+            type="password"
+            autoComplete="new-password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="New passphrase"
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            autoComplete="new-password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Repeat passphrase"
+            style={inputStyle}
+          />
+          {error && (
+            <p role="alert" style={{ color: COLORS.RECORDING_RED, marginTop: 0 }}>{error}</p>
+          )}
+          <button type="submit" disabled={!!progress || !passphrase} style={buttonStyle}>
+            {progress ? `Encrypting ${progress.done}/${progress.total}...` : 'Encrypt recordings'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+EncryptionPanel.propTypes = {
+  style: PropTypes.object
+};
+
+export default EncryptionPanel;
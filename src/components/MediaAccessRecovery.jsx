@@ -0,0 +1,154 @@
+/**
+ * MediaAccessRecovery.jsx
+ * -----------------------
+ * Shown instead of the Audio/Video buttons when the camera or
+ * microphone could not be opened. Explains why, using the
+ * MEDIA_ERRORS reason from utils/errors.js, links to the
+ * browser's instructions for allowing access, and offers a
+ * retry, the other capture mode, or going back.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaExclamationTriangle, FaRedo, FaMicrophoneAlt, FaVideo, FaArrowLeft } from 'react-icons/fa';
+import { COLORS, MEDIA_DEVICES } from '../config';
+import { MEDIA_ERRORS } from '../utils/errors';
+
+// Copy and recovery options per reason. Actions are listed in display
+// order; the first one is rendered as the primary button.
+const RECOVERY_OPTIONS = {
+  [MEDIA_ERRORS.DENIED]: {
+    title: 'Access is blocked',
+    message: (device) => `Your browser is blocking the ${device}. Allow access in the site settings, then try again.`,
+    showHelp: true,
+    actions: ['retry', 'switchMode', 'back']
+  },
+  [MEDIA_ERRORS.DISMISSED]: {
+    title: 'Permission needed',
+    message: (device) => `We need your ${device} to record. Try again and choose "Allow" when asked.`,
+    showHelp: false,
+    actions: ['retry', 'switchMode', 'back']
+  },
+  [MEDIA_ERRORS.NO_DEVICE]: {
+    title: 'No device found',
+    message: (device) => `We couldn't find a ${device}. Connect one and try again.`,
+    showHelp: false,
+    actions: ['switchMode', 'retry', 'back']
+  },
+  [MEDIA_ERRORS.IN_USE]: {
+    title: 'Device is busy',
+    message: (device) => `Your ${device} may be in use by another app or tab. Close it and try again.`,
+    showHelp: false,
+    actions: ['retry', 'switchMode', 'back']
+  },
+  [MEDIA_ERRORS.UNSUPPORTED]: {
+    title: 'Device not supported',
+    message: (device) => `Your ${device} doesn't support the requested settings. Try again, or connect a different one.`,
+    showHelp: false,
+    actions: ['retry', 'switchMode', 'back']
+  },
+  [MEDIA_ERRORS.INSECURE_CONTEXT]: {
+    title: 'Recording is not available here',
+    message: () => 'Browsers only allow recording on secure (https://) pages. Open this page over https to record.',
+    showHelp: false,
+    actions: ['back']
+  },
+  [MEDIA_ERRORS.UNKNOWN]: {
+    title: 'Something went wrong',
+    message: (device) => `We couldn't start your ${device}.`,
+    showHelp: true,
+    actions: ['retry', 'switchMode', 'back']
+  }
+};
+
+// Help page for the browser in use; Chromium-based browsers share Chrome's
+function permissionHelpUrl() {
+  const ua = navigator.userAgent;
+  const urls = MEDIA_DEVICES.PERMISSION_HELP_URLS;
+  if (/Firefox\//.test(ua)) return urls.firefox;
+  if (/Safari\//.test(ua) && !/(Chrome|Chromium|Edg)\//.test(ua)) return urls.safari;
+  return urls.chrome;
+}
+
+function MediaAccessRecovery({ error, captureMode, onRetry, onSwitchMode, onBack }) {
+  const options = RECOVERY_OPTIONS[error.reason] || RECOVERY_OPTIONS[MEDIA_ERRORS.UNKNOWN];
+  const isVideo = captureMode === 'video';
+  const device = isVideo ? 'camera and microphone' : 'microphone';
+
+  const actionContent = {
+    retry: { icon: FaRedo, label: 'Try again', onClick: onRetry },
+    switchMode: isVideo
+      ? { icon: FaMicrophoneAlt, label: 'Record audio', onClick: onSwitchMode }
+      : { icon: FaVideo, label: 'Record video', onClick: onSwitchMode },
+    back: { icon: FaArrowLeft, label: 'Back', onClick: onBack }
+  };
+
+  return (
+    <div className="upload-error-panel" role="alert">
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'flex-start',
+          gap: '10px',
+          backgroundColor: '#FFFFFF',
+          borderLeft: `4px solid ${COLORS.RECORDING_RED}`,
+          borderRadius: '8px',
+          padding: '12px 14px',
+          marginBottom: '12px',
+          color: COLORS.PRIMARY_DARK
+        }}
+      >
+        <FaExclamationTriangle style={{ color: COLORS.RECORDING_RED, marginTop: '3px', flexShrink: 0 }} />
+        <div>
+          <div style={{ fontWeight: 600, marginBottom: '4px' }}>{options.title}</div>
+          <div style={{ fontSize: '0.9rem', color: COLORS.TEXT_GRAY }}>
+            {options.message(device)}
+            {options.showHelp && (
+              <>
+                {' '}
+                <a
+                  href={permissionHelpUrl()}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  style={{ color: COLORS.PRIMARY_DARK }}
+                >
+                  How to allow access
+                </a>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="upload-error-actions">
+        {options.actions.map((action, index) => {
+          const { icon: Icon, label, onClick } = actionContent[action];
+          return (
+            <button
+              key={action}
+              type="button"
+              className={index === 0 ? 'two-button-right' : 'two-button-left'}
+              onClick={onClick}
+            >
+              <Icon style={{ marginRight: '8px' }} />
+              {label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+MediaAccessRecovery.propTypes = {
+  error: PropTypes.shape({
+    reason: PropTypes.oneOf(Object.values(MEDIA_ERRORS)).isRequired,
+    message: PropTypes.string
+  }).isRequired,
+  captureMode: PropTypes.oneOf(['audio', 'video']).isRequired,
+  onRetry: PropTypes.func.isRequired,
+  onSwitchMode: PropTypes.func.isRequired,
+  onBack: PropTypes.func.isRequired
+};
+
+export default MediaAccessRecovery;
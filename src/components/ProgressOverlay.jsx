@@ -4,6 +4,7 @@
  * Shows a circular progress bar ("Memories Uploading")
  * during an upload. Uses progressbar.js for the animated
  * circle. Rendered on top of the page while uploading.
+ * An optional Cancel action aborts the upload.
  */
 
 import React, { useEffect, useRef } from 'react';
@@ -11,7 +12,7 @@ import PropTypes from 'prop-types';
 import ProgressBar from 'progressbar.js';
 import { COLORS } from '../config';
 
-function ProgressOverlay({ fraction }) {
+function ProgressOverlay({ fraction, onCancel }) {
   const containerRef = useRef(null);
   const circleRef = useRef(null);
 
@@ -55,12 +56,32 @@ function ProgressOverlay({ fraction }) {
         Memories Uploading
       </div>
       <div ref={containerRef} style={{ width: '120px', height: '120px' }} />
+      {onCancel && (
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{
+            marginTop: '30px',
+            padding: '10px 28px',
+            border: 'none',
+            borderRadius: '8px',
+            backgroundColor: COLORS.BACKGROUND_SECONDARY,
+            color: COLORS.PRIMARY_DARK,
+            fontSize: '1rem',
+            cursor: 'pointer',
+            boxShadow: '0 1px 2px rgba(0,0,0,0.12)'
+          }}
+        >
+          Cancel
+        </button>
+      )}
     </div>
   );
 }
 
 ProgressOverlay.propTypes = {
-  fraction: PropTypes.number.isRequired
+  fraction: PropTypes.number.isRequired,
+  onCancel: PropTypes.func
 };
 
 export default ProgressOverlay;
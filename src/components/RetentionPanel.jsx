@@ -0,0 +1,159 @@
+/**
+ * RetentionPanel.jsx
+ * ------------------
+ * Admin view of the retention rules (SERVICE_CONFIG.RETENTION):
+ * shows the configured limits, a dry-run of what they would
+ * remove from this device right now, and a button to apply it.
+ * Removed recordings go to the trash and can be restored from
+ * there. Only meaningful for the local backend.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { COLORS, SERVICE_CONFIG } from '../config';
+import { applyRetention, RETENTION_REASON } from '../services/retentionPolicy';
+import { formatBytes } from '../services/storageQuota';
+
+const REASON_LABELS = {
+  [RETENTION_REASON.AGE]: 'too old',
+  [RETENTION_REASON.COUNT]: 'over the count limit',
+  [RETENTION_REASON.SIZE]: 'over the size limit'
+};
+
+// Human-readable list of the configured limits
+function describePolicy(policy) {
+  const rules = [];
+  if (policy.MAX_AGE_DAYS != null) rules.push(`older than ${policy.MAX_AGE_DAYS} days`);
+  if (policy.MAX_COUNT != null) rules.push(`beyond the newest ${policy.MAX_COUNT}`);
+  if (policy.MAX_TOTAL_BYTES != null) rules.push(`beyond ${formatBytes(policy.MAX_TOTAL_BYTES)} in total`);
+  return rules;
+}
+
+function RetentionPanel({ onApplied, style }) {
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const policy = SERVICE_CONFIG.RETENTION;
+  const rules = describePolicy(policy);
+
+  const buttonStyle = {
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.85rem',
+    padding: '6px 12px',
+    cursor: 'pointer',
+    backgroundColor: COLORS.PRIMARY_DARK,
+    color: COLORS.PRIMARY_LIGHT
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    try {
+      setPlan(await applyRetention({ dryRun: true }));
+    } catch (err) {
+      console.error('Error evaluating retention:', err);
+      alert(err.message || 'Failed to evaluate retention rules.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm(
+      `Move ${plan.remove.length} recordings to the trash? ` +
+      `They can be restored for ${SERVICE_CONFIG.TRASH.RETENTION_DAYS} days.`
+    )) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await applyRetention({ dryRun: false });
+      if (result.failed.length > 0) {
+        alert(`Removed ${result.removed.length}; ${result.failed.length} could not be removed.`);
+      }
+      setPlan(await applyRetention({ dryRun: true }));
+      if (onApplied) {
+        onApplied(result);
+      }
+    } catch (err) {
+      console.error('Error applying retention:', err);
+      alert(err.message || 'Failed to apply retention rules.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#fff',
+        border: '1px solid #ccc',
+        borderRadius: '8px',
+        padding: '12px',
+        fontSize: '0.9rem',
+        ...style
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <strong>Retention</strong>
+        {rules.length > 0 && (
+          <button type="button" onClick={handlePreview} disabled={busy} style={buttonStyle}>
+            {busy ? 'Checking...' : 'Preview cleanup'}
+          </button>
+        )}
+      </div>
+
+      <div style={{ color: COLORS.TEXT_GRAY, marginTop: '4px' }}>
+        {rules.length === 0
+          ? 'No retention rules are configured; recordings are kept until deleted.'
+          : `Removes recordings ${rules.join(', ')}` +
+            (policy.KEEP_IF_NOT_SYNCED ? ', once they have been exported.' : '.') +
+            ' Removed recordings go to the trash.' +
+            (policy.DRY_RUN ? ' Automatic cleanup is in dry-run mode.' : '')}
+      </div>
+
+      {plan && (
+        <div style={{ marginTop: '8px' }}>
+          {plan.remove.length === 0 ? (
+            <div>Nothing to remove.</div>
+          ) : (
+            <>
+              <div>
+                Would remove {plan.remove.length} recordings ({formatBytes(plan.freedBytes)}):
+              </div>
+              {plan.remove.map((entry) => (
+                <div key={entry.id} style={{ color: COLORS.TEXT_GRAY, marginTop: '2px' }}>
+                  {entry.fileName || entry.id} · {formatBytes(entry.size)} · {REASON_LABELS[entry.reason]}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={handleApply}
+                disabled={busy}
+                style={{ ...buttonStyle, backgroundColor: COLORS.RECORDING_RED, color: '#FFFFFF', marginTop: '8px' }}
+              >
+                Remove now
+              </button>
+            </>
+          )}
+          {plan.protectedCount > 0 && (
+            <div style={{ color: COLORS.TEXT_GRAY, marginTop: '4px' }}>
+              {plan.protectedCount} more would be removed but have not been exported yet.
+            </div>
+          )}
+          {plan.unreadable > 0 && (
+            <div style={{ color: COLORS.TEXT_GRAY, marginTop: '4px' }}>
+              {plan.unreadable} encrypted recordings were skipped while locked.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+RetentionPanel.propTypes = {
+  onApplied: PropTypes.func,
+  style: PropTypes.object
+};
+
+export default RetentionPanel;
@@ -0,0 +1,167 @@
+/**
+ * SessionRecoveryPrompt.jsx
+ * -------------------------
+ * Card for the mode-selection screen offering to recover takes
+ * that were cut off by a crash, reload or phone lock (see
+ * services/recordingSessions.js). Recovering opens them in the
+ * review stage as takes to pick from; discarding moves them to
+ * the trash like Start Over does. Renders nothing when there is
+ * no unfinished session.
+ */
+
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { FaHistory } from 'react-icons/fa';
+import { COLORS, SERVICE_CONFIG } from '../config';
+import { UPLOAD_ERRORS } from '../utils/errors';
+import {
+  listUnfinishedSessions,
+  recoverRecordingSession,
+  discardRecordingSession,
+  suspendRecordingSession
+} from '../services/recordingSessions';
+import { discardTakeToTrash } from '../services/recordingTrash';
+import { buildRecordingFileName } from '../utils/submissionHandlers';
+
+// Roughly how long a take is: one chunk per timeslice while recording
+const approximateSeconds = (session) =>
+  Math.round((session.chunkCount * SERVICE_CONFIG.RECORDING_SESSIONS.TIMESLICE_MS) / 1000);
+
+function SessionRecoveryPrompt({ onRecover, style }) {
+  const [sessions, setSessions] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    listUnfinishedSessions()
+      .then((found) => {
+        // Oldest first, so recovered takes keep their recording order
+        if (active) setSessions(found.reverse());
+      })
+      .catch((error) => console.warn('Could not check for unfinished recordings:', error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  if (sessions.length === 0) {
+    return null;
+  }
+  const newest = sessions[sessions.length - 1];
+
+  const describeFailure = (error) => (error?.type === UPLOAD_ERRORS.LOCKED
+    ? 'This recording is encrypted. Unlock your recordings on the admin page, then reload to recover it.'
+    : error?.message || 'This recording could not be read.');
+
+  const handleRecover = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      for (const session of sessions) {
+        await onRecover(session.id);
+      }
+    } catch (error) {
+      console.error('Error recovering recording:', error);
+      setMessage(describeFailure(error));
+      setBusy(false);
+    }
+  };
+
+  // Trash one session's take; false if the user keeps it after a failure
+  const discardSession = async (session) => {
+    try {
+      const take = await recoverRecordingSession(session.id);
+      await discardTakeToTrash(take.blob, {
+        fileName: buildRecordingFileName(take.captureMode, take.mimeType, new Date(session.startedAt)),
+        fileType: take.captureMode,
+        mimeType: take.mimeType
+      });
+    } catch (error) {
+      console.warn('Unfinished recording not kept in the trash:', error);
+      if (!window.confirm('This recording could not be moved to the trash. Delete it permanently?')) {
+        suspendRecordingSession(session.id);
+        return false;
+      }
+    }
+    await discardRecordingSession(session.id);
+    return true;
+  };
+
+  const handleDiscard = async () => {
+    setBusy(true);
+    setMessage(null);
+    const kept = [];
+    for (const session of sessions) {
+      if (!(await discardSession(session))) {
+        kept.push(session);
+      }
+    }
+    setSessions(kept);
+    setBusy(false);
+  };
+
+  const buttonStyle = {
+    border: 'none',
+    borderRadius: '6px',
+    padding: '4px 10px',
+    fontSize: '0.8rem',
+    cursor: busy ? 'default' : 'pointer'
+  };
+
+  return (
+    <div
+      role="status"
+      style={{
+        backgroundColor: '#FFFFFF',
+        border: `1px solid ${COLORS.BACKGROUND_SECONDARY}`,
+        borderRadius: '8px',
+        padding: '10px 12px',
+        fontSize: '0.85rem',
+        color: COLORS.PRIMARY_DARK,
+        ...style
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <FaHistory style={{ flexShrink: 0 }} />
+        <span>
+          {sessions.length === 1
+            ? `Your ${newest.captureMode} recording from ${new Date(newest.startedAt).toLocaleString()}` +
+              ` (about ${approximateSeconds(newest)}s) wasn't finished.`
+            : `${sessions.length} recordings, the latest from ${new Date(newest.startedAt).toLocaleString()},` +
+              " weren't finished."}
+        </span>
+      </div>
+
+      {message && (
+        <div style={{ color: COLORS.RECORDING_RED, marginTop: '6px' }}>{message}</div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '6px', marginTop: '8px' }}>
+        <button
+          type="button"
+          onClick={handleDiscard}
+          disabled={busy}
+          style={{ ...buttonStyle, backgroundColor: COLORS.BACKGROUND_SECONDARY, color: COLORS.PRIMARY_DARK }}
+        >
+          Discard
+        </button>
+        <button
+          type="button"
+          onClick={handleRecover}
+          disabled={busy}
+          style={{ ...buttonStyle, backgroundColor: COLORS.PRIMARY_DARK, color: COLORS.PRIMARY_LIGHT }}
+        >
+          Recover
+        </button>
+      </div>
+    </div>
+  );
+}
+
+SessionRecoveryPrompt.propTypes = {
+  onRecover: PropTypes.func.isRequired, // (sessionId) => Promise
+  style: PropTypes.object
+};
+
+export default SessionRecoveryPrompt;
@@ -0,0 +1,176 @@
+/**
+ * StorageMaintenancePanel.jsx
+ * ---------------------------
+ * Admin integrity check for recordings stored on this device:
+ * scans the metadata list against the stored media
+ * (scanStorageIntegrity) and offers the repairs from
+ * REPAIR_ACTIONS. Only meaningful for the local backend.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { COLORS } from '../config';
+import {
+  scanStorageIntegrity,
+  repairStorage,
+  REPAIR_ACTIONS
+} from '../services/localRecordingService';
+import { formatBytes } from '../services/storageQuota';
+
+function StorageMaintenancePanel({ style }) {
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const buttonStyle = {
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.85rem',
+    padding: '6px 12px',
+    cursor: 'pointer',
+    backgroundColor: COLORS.PRIMARY_DARK,
+    color: COLORS.PRIMARY_LIGHT,
+    marginRight: '8px',
+    marginTop: '8px'
+  };
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', marginTop: '4px' };
+
+  const handleScan = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      setReport(await scanStorageIntegrity());
+    } catch (err) {
+      console.error('Error scanning storage:', err);
+      setMessage(err.message || 'Failed to scan storage.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRepair = async (action, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) {
+      return;
+    }
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await repairStorage(action);
+      setReport(result.report);
+      setMessage(
+        `Repaired ${result.repaired}` +
+        (result.skipped ? `, skipped ${result.skipped} (unlock encrypted recordings first)` : '') +
+        '.'
+      );
+    } catch (err) {
+      console.error('Error repairing storage:', err);
+      setMessage(err.message || 'Failed to repair storage.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const orphanSize = report
+    ? report.orphanMedia.reduce((sum, orphan) => sum + orphan.size, 0)
+    : 0;
+  const marked = report ? report.missingMedia.filter((entry) => entry.marked).length : 0;
+  const unmarked = report ? report.missingMedia.length - marked : 0;
+  const pruneCount = report
+    ? report.orphanMedia.length + report.staleUrls.length + report.legacyBlobEntries
+    : 0;
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#fff',
+        border: '1px solid #ccc',
+        borderRadius: '8px',
+        padding: '12px',
+        fontSize: '0.9rem',
+        ...style
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <strong>Storage maintenance</strong>
+        <button type="button" onClick={handleScan} disabled={busy} style={{ ...buttonStyle, marginTop: 0, marginRight: 0 }}>
+          {busy ? 'Working...' : 'Scan'}
+        </button>
+      </div>
+
+      {report && (
+        <>
+          <div style={rowStyle}>
+            <span>Recordings / media records</span>
+            <span>{report.recordingCount} / {report.mediaCount}</span>
+          </div>
+          <div style={rowStyle}>
+            <span>Media no recording points at</span>
+            <span>{report.orphanMedia.length} ({formatBytes(orphanSize)})</span>
+          </div>
+          <div style={rowStyle}>
+            <span>Recordings missing their media</span>
+            <span>{report.missingMedia.length}{marked > 0 && ` (${marked} marked)`}</span>
+          </div>
+          <div style={rowStyle}>
+            <span>Duplicate entries</span>
+            <span>{report.duplicateIds.length}</span>
+          </div>
+          <div style={rowStyle}>
+            <span>Dead stored URLs</span>
+            <span>{report.staleUrls.length + report.legacyBlobEntries}</span>
+          </div>
+
+          {report.issueCount === 0 ? (
+            <p style={{ color: COLORS.TEXT_GRAY, marginBottom: 0 }}>No problems found.</p>
+          ) : (
+            <div>
+              {pruneCount > 0 && (
+                <button
+                  type="button"
+                  disabled={busy}
+                  style={buttonStyle}
+                  onClick={() => handleRepair(
+                    REPAIR_ACTIONS.PRUNE_ORPHANS,
+                    'Permanently delete media that no recording points at? Use "Rebuild index" instead to keep it.'
+                  )}
+                >
+                  Prune orphans
+                </button>
+              )}
+              {(unmarked > 0 || report.staleMarks.length > 0) && (
+                <button
+                  type="button"
+                  disabled={busy}
+                  style={buttonStyle}
+                  onClick={() => handleRepair(REPAIR_ACTIONS.MARK_MISSING)}
+                >
+                  Mark missing media
+                </button>
+              )}
+              {(report.orphanMedia.length > 0 || report.duplicateIds.length > 0) && (
+                <button
+                  type="button"
+                  disabled={busy}
+                  style={buttonStyle}
+                  onClick={() => handleRepair(REPAIR_ACTIONS.REBUILD_INDEX)}
+                >
+                  Rebuild index
+                </button>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {message && (
+        <p role="status" style={{ color: COLORS.TEXT_GRAY, marginBottom: 0 }}>{message}</p>
+      )}
+    </div>
+  );
+}
+
+StorageMaintenancePanel.propTypes = {
+  style: PropTypes.object
+};
+
+export default StorageMaintenancePanel;
@@ -0,0 +1,143 @@
+/**
+ * StorageUsagePanel.jsx
+ * ---------------------
+ * Admin breakdown of what this device is storing: local
+ * recordings per media type (getDeviceStorageStats), recordings
+ * waiting in the upload queue, and the browser's overall
+ * usage/quota estimate with its persistence status.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { COLORS } from '../config';
+import { getDeviceStorageStats } from '../services/recordingService';
+import { listQueuedUploads } from '../services/uploadQueue';
+import { getStorageEstimate, requestPersistentStorage, formatBytes } from '../services/storageQuota';
+
+function StorageUsagePanel({ style }) {
+  const [usage, setUsage] = useState(null);
+
+  const loadUsage = useCallback(async () => {
+    try {
+      const [estimate, queued] = await Promise.all([getStorageEstimate(), listQueuedUploads()]);
+      setUsage({
+        stats: getDeviceStorageStats(),
+        queuedCount: queued.length,
+        queuedSize: queued.reduce((sum, item) => sum + (item.size || 0), 0),
+        estimate
+      });
+    } catch (err) {
+      console.error('Error reading storage usage:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const handlePersist = async () => {
+    await requestPersistentStorage();
+    loadUsage();
+  };
+
+  if (!usage) {
+    return null;
+  }
+
+  const { stats, queuedCount, queuedSize, estimate } = usage;
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', marginTop: '4px' };
+  const percentUsed = estimate.supported && estimate.quota > 0
+    ? Math.min((estimate.usage / estimate.quota) * 100, 100)
+    : null;
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#fff',
+        border: '1px solid #ccc',
+        borderRadius: '8px',
+        padding: '12px',
+        fontSize: '0.9rem',
+        ...style
+      }}
+    >
+      <div style={{ marginBottom: '8px' }}><strong>Storage on this device</strong></div>
+
+      {Object.entries(stats.byType).map(([type, totals]) => (
+        <div key={type} style={rowStyle}>
+          <span style={{ textTransform: 'capitalize' }}>{type} ({totals.count})</span>
+          <span>{formatBytes(totals.totalSize)}</span>
+        </div>
+      ))}
+      <div style={rowStyle}>
+        <span>Waiting to upload ({queuedCount})</span>
+        <span>{formatBytes(queuedSize)}</span>
+      </div>
+      <div style={{ ...rowStyle, fontWeight: 600 }}>
+        <span>Recordings total ({stats.count})</span>
+        <span>{formatBytes(stats.totalSize + queuedSize)}</span>
+      </div>
+
+      {percentUsed !== null ? (
+        <>
+          <div
+            style={{
+              height: '8px',
+              backgroundColor: COLORS.BACKGROUND_SECONDARY,
+              borderRadius: '4px',
+              overflow: 'hidden',
+              margin: '10px 0 4px'
+            }}
+          >
+            <div
+              style={{
+                width: `${percentUsed}%`,
+                height: '100%',
+                backgroundColor: percentUsed > 90 ? COLORS.RECORDING_RED : COLORS.PRIMARY_DARK
+              }}
+            />
+          </div>
+          <div style={{ color: COLORS.TEXT_GRAY }}>
+            Browser storage: {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)} used,
+            {' '}{formatBytes(estimate.available)} free
+          </div>
+        </>
+      ) : (
+        <div style={{ color: COLORS.TEXT_GRAY, marginTop: '8px' }}>
+          This browser does not report its storage quota.
+        </div>
+      )}
+
+      <div style={{ color: COLORS.TEXT_GRAY, marginTop: '4px' }}>
+        {estimate.persisted ? (
+          'Storage is persistent: the browser will not clear it automatically.'
+        ) : (
+          <>
+            Storage may be cleared by the browser when space runs low.{' '}
+            <button
+              type="button"
+              onClick={handlePersist}
+              style={{
+                border: 'none',
+                background: 'none',
+                padding: 0,
+                color: COLORS.PRIMARY_DARK,
+                textDecoration: 'underline',
+                cursor: 'pointer',
+                fontSize: 'inherit'
+              }}
+            >
+              Keep it
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+StorageUsagePanel.propTypes = {
+  style: PropTypes.object
+};
+
+export default StorageUsagePanel;
@@ -0,0 +1,59 @@
+/**
+ * StorageWarning.jsx
+ * ------------------
+ * Warning card for the mode-selection screen when the device
+ * may not have room for a full-length take. Audio needs far
+ * less space than video, so the message says which modes are
+ * affected. Renders nothing when there is enough space.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { COLORS, RECORDING_LIMITS } from '../config';
+import useStorageQuota from '../hooks/useStorageQuota';
+import { formatBytes } from '../services/storageQuota';
+
+function StorageWarning({ style }) {
+  const { estimate, hasRoomForAudio, hasRoomForVideo } = useStorageQuota();
+
+  if (hasRoomForAudio && hasRoomForVideo) {
+    return null;
+  }
+
+  const message = hasRoomForAudio
+    ? `There may not be room for a ${RECORDING_LIMITS.MAX_DURATION_SECONDS}-second video. Audio should still fit.`
+    : `There may not be room for a ${RECORDING_LIMITS.MAX_DURATION_SECONDS}-second recording.`;
+
+  return (
+    <div
+      role="alert"
+      style={{
+        display: 'flex',
+        alignItems: 'flex-start',
+        gap: '10px',
+        backgroundColor: '#FFFFFF',
+        borderLeft: `4px solid ${COLORS.RECORDING_RED}`,
+        borderRadius: '8px',
+        padding: '10px 12px',
+        fontSize: '0.85rem',
+        color: COLORS.PRIMARY_DARK,
+        ...style
+      }}
+    >
+      <FaExclamationTriangle style={{ color: COLORS.RECORDING_RED, marginTop: '2px', flexShrink: 0 }} />
+      <div>
+        <div style={{ fontWeight: 600, marginBottom: '2px' }}>Your device is low on storage</div>
+        <div style={{ color: COLORS.TEXT_GRAY }}>
+          {message} Free space: {formatBytes(estimate?.available)}.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+StorageWarning.propTypes = {
+  style: PropTypes.object
+};
+
+export default StorageWarning;
@@ -0,0 +1,120 @@
+/**
+ * TakesReview.jsx
+ * ---------------
+ * Review screen content for the takes recorded this session.
+ * Each take plays in its own PlyrMediaPlayer; with more than one,
+ * the user ticks the take(s) to upload and the rest are discarded
+ * once the upload is done. "Record another take" goes back to the
+ * camera/microphone until RECORDING_LIMITS.MAX_TAKES is reached.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaPlus } from 'react-icons/fa';
+import { COLORS } from '../config';
+import PlyrMediaPlayer from './PlyrMediaPlayer';
+
+function TakesReview({
+  takes,
+  selectedTakeIds,
+  onToggleTake,
+  onRecordAnother,
+  canRecordAnother,
+  onPlayerReady,
+  formatTime
+}) {
+  const multiple = takes.length > 1;
+
+  return (
+    <div className="review-content">
+      <div className="review-title">
+        {multiple ? 'Review your takes' : 'Review your recording'}
+      </div>
+      {multiple && (
+        <div style={{ fontSize: '0.85rem', color: COLORS.TEXT_GRAY, marginBottom: '8px' }}>
+          {selectedTakeIds.length === 0
+            ? 'Pick at least one take to upload.'
+            : 'Takes you leave unticked are discarded after the upload.'}
+        </div>
+      )}
+
+      <div style={{ maxHeight: multiple ? '50vh' : undefined, overflowY: multiple ? 'auto' : undefined }}>
+        {takes.map((take, index) => (
+          <div key={take.id} style={{ marginBottom: multiple ? '12px' : 0 }}>
+            {multiple && (
+              <label
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  fontSize: '0.9rem',
+                  color: COLORS.PRIMARY_DARK,
+                  marginBottom: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={selectedTakeIds.includes(take.id)}
+                  onChange={() => onToggleTake(take.id)}
+                />
+                Take {index + 1}
+                {take.durationSeconds != null && (
+                  <span style={{ color: COLORS.TEXT_GRAY }}>· {formatTime(take.durationSeconds)}</span>
+                )}
+              </label>
+            )}
+            <PlyrMediaPlayer
+              src={take.url}
+              type={take.captureMode}
+              actualMimeType={take.mimeType}
+              onReady={onPlayerReady}
+              className="inline-media-player"
+            />
+          </div>
+        ))}
+      </div>
+
+      {canRecordAnother && (
+        <button
+          type="button"
+          onClick={onRecordAnother}
+          style={{
+            border: 'none',
+            background: 'none',
+            color: COLORS.PRIMARY_DARK,
+            fontSize: '0.9rem',
+            textDecoration: 'underline',
+            cursor: 'pointer',
+            marginTop: '8px',
+            padding: 0,
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '6px'
+          }}
+        >
+          <FaPlus />
+          Record another take
+        </button>
+      )}
+    </div>
+  );
+}
+
+TakesReview.propTypes = {
+  takes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    url: PropTypes.string.isRequired,
+    captureMode: PropTypes.oneOf(['audio', 'video']).isRequired,
+    mimeType: PropTypes.string,
+    durationSeconds: PropTypes.number
+  })).isRequired,
+  selectedTakeIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onToggleTake: PropTypes.func.isRequired,
+  onRecordAnother: PropTypes.func.isRequired,
+  canRecordAnother: PropTypes.bool,
+  onPlayerReady: PropTypes.func,
+  formatTime: PropTypes.func.isRequired
+};
+
+export default TakesReview;
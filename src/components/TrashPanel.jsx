@@ -0,0 +1,176 @@
+/**
+ * TrashPanel.jsx
+ * --------------
+ * Admin view of the trash (services/recordingTrash.js):
+ * recordings deleted here or by retention rules and takes
+ * discarded with "Start Over", each with its expiry date. Items can be restored into
+ * the active backend or deleted for good. Reloads when
+ * recordings change, so deletions show up straight away.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { COLORS, SERVICE_CONFIG } from '../config';
+import { onRecordingsChanged } from '../services/recordingService';
+import {
+  listTrash,
+  restoreFromTrash,
+  deleteFromTrash,
+  emptyTrash,
+  TRASH_SOURCE
+} from '../services/recordingTrash';
+import { formatBytes } from '../services/storageQuota';
+
+const SOURCE_LABELS = {
+  [TRASH_SOURCE.DELETED]: 'deleted',
+  [TRASH_SOURCE.DISCARDED]: 'discarded',
+  [TRASH_SOURCE.RETENTION]: 'cleaned up'
+};
+
+function TrashPanel({ onRestored, style }) {
+  const [items, setItems] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setItems(await listTrash());
+    } catch (err) {
+      console.error('Error reading trash:', err);
+      setItems([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+    return onRecordingsChanged(() => loadTrash());
+  }, [loadTrash]);
+
+  const buttonStyle = {
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.8rem',
+    padding: '4px 10px',
+    cursor: 'pointer',
+    marginLeft: '6px'
+  };
+
+  const handleRestore = async (item) => {
+    setBusyId(item.id);
+    try {
+      const stored = await restoreFromTrash(item.id);
+      if (onRestored) {
+        onRestored(stored);
+      }
+    } catch (err) {
+      console.error('Error restoring from trash:', err);
+      alert(err.message || 'Failed to restore recording.');
+    } finally {
+      setBusyId(null);
+      loadTrash();
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Permanently delete "${item.recording.fileName}"? This cannot be undone.`)) {
+      return;
+    }
+    setBusyId(item.id);
+    try {
+      await deleteFromTrash(item.id);
+    } catch (err) {
+      console.error('Error deleting from trash:', err);
+      alert(err.message || 'Failed to delete recording.');
+    } finally {
+      setBusyId(null);
+      loadTrash();
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete everything in the trash?')) {
+      return;
+    }
+    try {
+      await emptyTrash();
+    } catch (err) {
+      console.error('Error emptying trash:', err);
+      alert(err.message || 'Failed to empty the trash.');
+    } finally {
+      loadTrash();
+    }
+  };
+
+  if (!items) {
+    return null;
+  }
+
+  return (
+    <div
+      style={{
+        backgroundColor: '#fff',
+        border: '1px solid #ccc',
+        borderRadius: '8px',
+        padding: '12px',
+        fontSize: '0.9rem',
+        ...style
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <strong>Trash ({items.length})</strong>
+        {items.length > 0 && (
+          <button
+            type="button"
+            onClick={handleEmpty}
+            style={{ ...buttonStyle, backgroundColor: COLORS.RECORDING_RED, color: '#FFFFFF' }}
+          >
+            Empty trash
+          </button>
+        )}
+      </div>
+      <div style={{ color: COLORS.TEXT_GRAY, marginTop: '4px' }}>
+        Deleted recordings and discarded takes are kept for {SERVICE_CONFIG.TRASH.RETENTION_DAYS} days.
+      </div>
+
+      {items.map((item) => (
+        <div
+          key={item.id}
+          style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: '8px' }}
+        >
+          <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {item.recording.fileName || 'Untitled'}
+            <span style={{ color: COLORS.TEXT_GRAY }}>
+              {' '}· {SOURCE_LABELS[item.source] || 'deleted'}
+              {' '}· {formatBytes(item.size)}
+              {' '}· until {new Date(item.expiresAt).toLocaleDateString()}
+            </span>
+          </span>
+          <span style={{ flexShrink: 0 }}>
+            <button
+              type="button"
+              disabled={busyId === item.id}
+              onClick={() => handleRestore(item)}
+              style={{ ...buttonStyle, backgroundColor: COLORS.PRIMARY_DARK, color: COLORS.PRIMARY_LIGHT }}
+            >
+              Restore
+            </button>
+            <button
+              type="button"
+              disabled={busyId === item.id}
+              onClick={() => handleDelete(item)}
+              style={{ ...buttonStyle, backgroundColor: COLORS.RECORDING_RED, color: '#FFFFFF' }}
+            >
+              Delete
+            </button>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+TrashPanel.propTypes = {
+  onRestored: PropTypes.func,
+  style: PropTypes.object
+};
+
+export default TrashPanel;
@@ -0,0 +1,107 @@
+/**
+ * UnlockGate.jsx
+ * --------------
+ * Renders its children only once encrypted recordings are
+ * unlocked; until then it shows a passphrase prompt. Pages
+ * without encryption set up pass straight through. Children
+ * mount after unlocking, so their data fetches see plaintext.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaLock } from 'react-icons/fa';
+import { COLORS, LAYOUT } from '../config';
+import useEncryptionState from '../hooks/useEncryptionState';
+import { unlock } from '../services/encryption';
+
+function UnlockGate({ children }) {
+  const { unlocked } = useEncryptionState();
+  const [passphrase, setPassphrase] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  if (unlocked) {
+    return children;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setChecking(true);
+    setFailed(false);
+    const ok = await unlock(passphrase);
+    setChecking(false);
+    if (!ok) {
+      setFailed(true);
+    }
+    setPassphrase('');
+  };
+
+  return (
+    <div className="page-container" style={{ padding: '20px' }}>
+      <div
+        className="main-layout-container"
+        style={{
+          backgroundColor: COLORS.PRIMARY_LIGHT,
+          maxWidth: LAYOUT.MAX_WIDTH,
+          margin: '0 auto',
+          padding: '20px',
+          textAlign: 'center'
+        }}
+      >
+        <FaLock style={{ fontSize: '2rem', color: COLORS.PRIMARY_DARK, marginTop: '20px' }} />
+        <h2 style={{ marginBottom: '8px' }}>Recordings are locked</h2>
+        <p style={{ color: COLORS.TEXT_GRAY, marginTop: 0 }}>
+          Enter the passphrase to view recordings on this device.
+        </p>
+
+        <form onSubmit={handleSubmit} style={{ marginTop: LAYOUT.MARGIN_TOP_SMALL }}>
+          <input
+            type="password"
+            autoComplete="current-password"
+            autoFocus
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Passphrase"
+            style={{
+              width: '100%',
+              maxWidth: '320px',
+              boxSizing: 'border-box',
+              fontSize: '1rem',
+              padding: '8px',
+              borderRadius: '6px',
+              border: '1px solid #ccc'
+            }}
+          />
+          {failed && (
+            <p role="alert" style={{ color: COLORS.RECORDING_RED, marginBottom: 0 }}>
+              That passphrase is not correct.
+            </p>
+          )}
+          <div style={{ marginTop: '12px' }}>
+            <button
+              type="submit"
+              disabled={checking || !passphrase}
+              style={{
+                backgroundColor: COLORS.PRIMARY_DARK,
+                color: COLORS.PRIMARY_LIGHT,
+                border: 'none',
+                borderRadius: '8px',
+                fontSize: '1rem',
+                padding: '8px 14px',
+                cursor: 'pointer'
+              }}
+            >
+              {checking ? 'Unlocking...' : 'Unlock'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+UnlockGate.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default UnlockGate;
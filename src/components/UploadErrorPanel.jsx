@@ -0,0 +1,119 @@
+/**
+ * UploadErrorPanel.jsx
+ * --------------------
+ * Recoverable error state shown on the review screen when an
+ * upload fails. The headline and the offered actions (retry,
+ * save on this device, start over) depend on the structured
+ * error type from utils/errors.js. The recording is untouched,
+ * so every action starts from the same take.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaExclamationTriangle, FaRedo, FaSave, FaUndo } from 'react-icons/fa';
+import { COLORS } from '../config';
+import { ERROR_MESSAGES, UPLOAD_ERRORS } from '../utils/errors';
+
+// Recovery options per error type. Actions are listed in display order;
+// the first one is rendered as the primary button.
+const RECOVERY_OPTIONS = {
+  [UPLOAD_ERRORS.NETWORK_ERROR]: {
+    title: "We couldn't reach the server",
+    actions: ['saveLocally', 'retry', 'startOver']
+  },
+  [UPLOAD_ERRORS.TIMEOUT]: {
+    title: 'The upload took too long',
+    actions: ['retry', 'saveLocally', 'startOver']
+  },
+  [UPLOAD_ERRORS.QUOTA_EXCEEDED]: {
+    title: 'Not enough storage space',
+    actions: ['retry', 'startOver']
+  },
+  [UPLOAD_ERRORS.INVALID_FILE]: {
+    title: "This recording can't be saved",
+    actions: ['startOver']
+  },
+  [UPLOAD_ERRORS.PERMISSION_DENIED]: {
+    title: "You don't have permission to upload",
+    actions: ['retry', 'saveLocally', 'startOver']
+  },
+  [UPLOAD_ERRORS.NOT_SUPPORTED]: {
+    title: 'Uploading is not available',
+    actions: ['saveLocally', 'startOver']
+  },
+  [UPLOAD_ERRORS.UNKNOWN]: {
+    title: 'Something went wrong',
+    actions: ['retry', 'saveLocally', 'startOver']
+  }
+};
+
+const ACTION_CONTENT = {
+  retry: { icon: FaRedo, label: 'Try again' },
+  saveLocally: { icon: FaSave, label: 'Save & upload later' },
+  startOver: { icon: FaUndo, label: 'Start over' }
+};
+
+function UploadErrorPanel({ error, onRetry, onSaveLocally, onStartOver }) {
+  const options = RECOVERY_OPTIONS[error.type] || RECOVERY_OPTIONS[UPLOAD_ERRORS.UNKNOWN];
+  const handlers = {
+    retry: onRetry,
+    saveLocally: onSaveLocally,
+    startOver: onStartOver
+  };
+  const message = ERROR_MESSAGES[error.type] || ERROR_MESSAGES[UPLOAD_ERRORS.UNKNOWN];
+
+  return (
+    <div className="upload-error-panel" role="alert">
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'flex-start',
+          gap: '10px',
+          backgroundColor: '#FFFFFF',
+          borderLeft: `4px solid ${COLORS.RECORDING_RED}`,
+          borderRadius: '8px',
+          padding: '12px 14px',
+          marginBottom: '12px',
+          color: COLORS.PRIMARY_DARK
+        }}
+      >
+        <FaExclamationTriangle style={{ color: COLORS.RECORDING_RED, marginTop: '3px', flexShrink: 0 }} />
+        <div>
+          <div style={{ fontWeight: 600, marginBottom: '4px' }}>{options.title}</div>
+          <div style={{ fontSize: '0.9rem', color: COLORS.TEXT_GRAY }}>
+            {message} Your recording is still here.
+          </div>
+        </div>
+      </div>
+
+      <div className="upload-error-actions">
+        {options.actions.map((action, index) => {
+          const { icon: Icon, label } = ACTION_CONTENT[action];
+          return (
+            <button
+              key={action}
+              type="button"
+              className={index === 0 ? 'two-button-right' : 'two-button-left'}
+              onClick={handlers[action]}
+            >
+              <Icon style={{ marginRight: '8px' }} />
+              {label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+UploadErrorPanel.propTypes = {
+  error: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    message: PropTypes.string
+  }).isRequired,
+  onRetry: PropTypes.func.isRequired,
+  onSaveLocally: PropTypes.func.isRequired,
+  onStartOver: PropTypes.func.isRequired
+};
+
+export default UploadErrorPanel;
@@ -0,0 +1,102 @@
+/**
+ * UploadQueueStatus.jsx
+ * ---------------------
+ * Compact card listing recordings waiting in the offline
+ * upload queue. Pending items show a count; failed items can
+ * be retried or removed. Renders nothing when the queue is empty.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { FaCloudUploadAlt, FaRedo, FaTrashAlt } from 'react-icons/fa';
+import { COLORS } from '../config';
+import useUploadQueue from '../hooks/useUploadQueue';
+
+function UploadQueueStatus({ style }) {
+  const { items, pendingItems, failedItems, retry, remove } = useUploadQueue();
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const handleRemove = (item) => {
+    if (window.confirm(`Remove "${item.fileName}"? This recording has not been uploaded and will be lost.`)) {
+      remove(item.id);
+    }
+  };
+
+  const buttonStyle = {
+    border: 'none',
+    borderRadius: '6px',
+    padding: '4px 10px',
+    fontSize: '0.8rem',
+    cursor: 'pointer',
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px'
+  };
+
+  return (
+    <div
+      role="status"
+      style={{
+        backgroundColor: '#FFFFFF',
+        border: `1px solid ${COLORS.BACKGROUND_SECONDARY}`,
+        borderRadius: '8px',
+        padding: '10px 12px',
+        fontSize: '0.85rem',
+        color: COLORS.PRIMARY_DARK,
+        ...style
+      }}
+    >
+      {pendingItems.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <FaCloudUploadAlt />
+          {pendingItems.length === 1
+            ? '1 recording waiting to upload'
+            : `${pendingItems.length} recordings waiting to upload`}
+          {!navigator.onLine && <span style={{ color: COLORS.TEXT_GRAY }}>(offline)</span>}
+        </div>
+      )}
+
+      {failedItems.map((item) => (
+        <div
+          key={item.id}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '8px',
+            marginTop: '8px'
+          }}
+        >
+          <span style={{ color: COLORS.RECORDING_RED, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            Upload failed: {item.fileName}
+          </span>
+          <span style={{ display: 'flex', gap: '6px', flexShrink: 0 }}>
+            <button
+              type="button"
+              onClick={() => retry(item.id)}
+              style={{ ...buttonStyle, backgroundColor: COLORS.PRIMARY_DARK, color: COLORS.PRIMARY_LIGHT }}
+            >
+              <FaRedo /> Retry
+            </button>
+            <button
+              type="button"
+              onClick={() => handleRemove(item)}
+              style={{ ...buttonStyle, backgroundColor: COLORS.BACKGROUND_SECONDARY, color: COLORS.PRIMARY_DARK }}
+            >
+              <FaTrashAlt /> Remove
+            </button>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+UploadQueueStatus.propTypes = {
+  style: PropTypes.object
+};
+
+export default UploadQueueStatus;
@@ -3,14 +3,15 @@
  * ------------------
  * A celebration screen that displays confetti and 
  * provides a link to view the uploaded recording.
- * Shows after successful upload.
+ * Shows after successful upload, or after the recording
+ * was saved to the offline queue (`queued`).
  */
 
 import React from 'react';
 import PropTypes from 'prop-types';
 import Confetti from 'react-confetti';
 
-function ConfettiScreen({ docId }) {
+function ConfettiScreen({ docId, queued = false }) {
   return (
     <div className="confetti-container">
       <Confetti 
@@ -22,15 +23,25 @@ function ConfettiScreen({ docId }) {
       
       <div className="confetti-content">
         <div className="confetti-main-title">Memory Saved</div>
-        <div className="confetti-subtitle-line">Your story is being crafted</div>
-        <div className="confetti-subtitle-line">It will be available to read in the 'My Stories' section shortly.</div>
+        {queued ? (
+          <>
+            <div className="confetti-subtitle-line">Your story is saved on this device</div>
+            <div className="confetti-subtitle-line">We'll upload it automatically as soon as you're back online.</div>
+          </>
+        ) : (
+          <>
+            <div className="confetti-subtitle-line">Your story is being crafted</div>
+            <div className="confetti-subtitle-line">It will be available to read in the 'My Stories' section shortly.</div>
+          </>
+        )}
       </div>
     </div>
   );
 }
 
 ConfettiScreen.propTypes = {
-  docId: PropTypes.string.isRequired
+  docId: PropTypes.string, // null when every take went to the offline queue
+  queued: PropTypes.bool
 };
 
 export default ConfettiScreen;
\ No newline at end of file
@@ -14,7 +14,24 @@ export const RECORDING_LIMITS = {
   COUNTDOWN_STEPS: [3, 2, 1, 'BEGIN'],
   
   // Recording timer interval (milliseconds)
-  TIMER_INTERVAL_MS: 1000
+  TIMER_INTERVAL_MS: 1000,
+
+  // Takes kept for comparison on the review screen (each is held in memory)
+  MAX_TAKES: 5
+};
+
+// Camera/microphone selection (see hooks/useMediaDevices.js)
+export const MEDIA_DEVICES = {
+  PREFERENCES_KEY: 'media_device_preferences', // localStorage: { audioInputId, videoInputId, facingMode }
+  FACING_MODES: ['user', 'environment'], // Front and back cameras on phones
+
+  // Browser instructions for allowing camera/microphone access
+  // (see components/MediaAccessRecovery.jsx)
+  PERMISSION_HELP_URLS: {
+    chrome: 'https://support.google.com/chrome/answer/2693767',
+    firefox: 'https://support.mozilla.org/kb/how-manage-your-camera-and-microphone-permissions',
+    safari: 'https://support.apple.com/guide/safari/websites-ibrwe2159f50/mac'
+  }
 };
 
 // Supported media formats (preserves existing format priority)
@@ -82,6 +99,7 @@ export const AUDIO_ANALYSIS = {
 
 
 // Environment configuration
+// STORAGE_TYPE selects the recording backend registered in services/recordingService.js
 export const ENV_CONFIG = {
   STORAGE_TYPE: process.env.REACT_APP_STORAGE_TYPE || 'local',
   API_BASE_URL: process.env.REACT_APP_API_URL || '',
@@ -92,9 +110,110 @@ export const ENV_CONFIG = {
 export const SERVICE_CONFIG = {
   // Local storage service settings
   LOCAL_STORAGE: {
-    RECORDINGS_KEY: 'local_recordings',
+    RECORDINGS_KEY: 'local_recordings', // { schemaVersion, recordings } (see services/storageMigrations.js)
+    BACKUP_KEY_PREFIX: 'backup_', // Pre-migration copies: backup_<key>_v<version>_<timestamp>
+    // Legacy key: held session-only object URLs before media moved to IndexedDB
     BLOB_STORAGE_KEY: 'local_blobs',
     UPLOAD_PROGRESS_INTERVAL_MS: 200,
-    FETCH_DELAY_MS: 300 // Simulated network delay
+    FETCH_DELAY_MS: 300, // Simulated network delay
+    // Integrity scans leave newer unreferenced media alone: an upload
+    // stores its media before its metadata
+    ORPHAN_GRACE_MS: 10 * 60 * 1000,
+
+    // IndexedDB database holding the recording media (Blob bytes)
+    INDEXED_DB: {
+      NAME: 'love_retold_recordings',
+      VERSION: 4,
+      STORES: {
+        MEDIA: 'media',
+        UPLOAD_QUEUE: 'uploadQueue',
+        TRASH: 'trash',
+        RECORDING_SESSIONS: 'recordingSessions', // Takes in progress (see services/recordingSessions.js)
+        SESSION_CHUNKS: 'sessionChunks'
+      }
+    }
+  },
+
+  // HTTP/REST backend settings (see services/httpRecordingService.js)
+  HTTP: {
+    RECORDINGS_PATH: '/recordings',
+    REQUEST_TIMEOUT_MS: 15000,
+    UPLOAD_TIMEOUT_MS: 0, // 0 = no timeout; long videos on slow links can take minutes
+
+    // Resumable chunked uploads (see services/chunkedUpload.js)
+    RESUMABLE: {
+      UPLOADS_PATH: '/uploads',
+      THRESHOLD_BYTES: 5 * 1024 * 1024, // Larger blobs are uploaded in chunks
+      CHUNK_SIZE_BYTES: 1024 * 1024,
+      MAX_CHUNK_RETRIES: 3,
+      // A chunk gets REQUEST_TIMEOUT_MS plus the time it takes at this
+      // rate (16 KB/s = 128 kbps, a poor mobile uplink): ~80 s per 1 MB chunk
+      MIN_THROUGHPUT_BYTES_PER_SEC: 16 * 1024,
+      RETRY_DELAY_MS: 1000,
+      STATE_KEY: 'upload_resume_state', // localStorage key for in-flight uploads
+      STATE_MAX_AGE_MS: 24 * 60 * 60 * 1000 // Forget unfinished uploads after a day
+    }
+  },
+
+  // Offline upload queue (see services/uploadQueue.js)
+  UPLOAD_QUEUE: {
+    BASE_RETRY_DELAY_MS: 5000, // Doubled after every failed attempt
+    MAX_RETRY_DELAY_MS: 5 * 60 * 1000,
+    MAX_ATTEMPTS: 8, // After this an item is marked failed and waits for a manual retry
+    LOCK_NAME: 'love_retold_upload_queue' // Web Lock held by the tab running a processing pass
+  },
+
+  // Optional encryption at rest for the local backend (see services/encryption.js)
+  ENCRYPTION: {
+    KEYS_STORAGE_KEY: 'recording_keys', // Public key + passphrase-wrapped private key
+    PBKDF2_ITERATIONS: 310000,
+    MIN_PASSPHRASE_LENGTH: 8
+  },
+
+  // Storage quota checks (see services/storageQuota.js)
+  STORAGE_QUOTA: {
+    // Rough MediaRecorder output rates used to size a full-length take
+    ESTIMATED_BITRATE_BPS: {
+      audio: 128 * 1000,
+      video: 2500 * 1000
+    },
+    SAFETY_FACTOR: 2 // Room for the take plus a queued/retried copy
+  },
+
+  // Automatic cleanup of local recordings (see services/retentionPolicy.js).
+  // Evaluated at startup and after each upload; null disables a limit.
+  // A recording counts as synced once it has been exported (syncedAt).
+  RETENTION: {
+    MAX_AGE_DAYS: null,
+    MAX_COUNT: null,
+    MAX_TOTAL_BYTES: null,
+    KEEP_IF_NOT_SYNCED: true, // Never remove recordings that exist only on this device
+    DRY_RUN: true // Only report what would be removed; the admin can apply it
+  },
+
+  // Crash-safe recording: takes are written to IndexedDB as they are
+  // recorded so a reload or crash can be recovered (see services/recordingSessions.js)
+  RECORDING_SESSIONS: {
+    TIMESLICE_MS: 1000, // MediaRecorder hands over (and we persist) a chunk this often
+    LOCK_PREFIX: 'love_retold_session_', // Web Lock held by the tab that owns a session
+    MAX_AGE_DAYS: 7 // Unfinished sessions older than this are dropped instead of offered
+  },
+
+  // Trash for deleted recordings and discarded takes (see services/recordingTrash.js)
+  TRASH: {
+    RETENTION_DAYS: 30 // Items older than this are purged automatically
+  },
+
+  // Cross-tab change notifications and write locking (see services/recordingChanges.js)
+  SYNC: {
+    CHANNEL_NAME: 'love_retold_recordings',
+    LOCK_NAME: 'love_retold_recordings_write',
+    REFRESH_DEBOUNCE_MS: 300 // Admin list waits for bursts of changes (e.g. an import) to settle
+  },
+
+  // queryRecordings() paging (see services/recordingQuery.js)
+  QUERY: {
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 100
   }
 };
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * useEncryptionState.js
+ * ---------------------
+ * Tracks whether encryption at rest is enabled and whether the
+ * recordings are unlocked for this page.
+ */
+
+import { useState, useEffect } from 'react';
+import { getEncryptionState, subscribeToEncryptionState } from '../services/encryption';
+
+export default function useEncryptionState() {
+  const [state, setState] = useState(getEncryptionState);
+
+  useEffect(() => subscribeToEncryptionState(setState), []);
+
+  return state;
+}
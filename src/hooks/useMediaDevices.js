@@ -0,0 +1,127 @@
+/**
+ * useMediaDevices.js
+ * ------------------
+ * Lists the cameras and microphones the browser exposes and
+ * remembers which ones the user picked (MEDIA_DEVICES in config).
+ * Device labels are only filled in once the page has camera or
+ * microphone permission, so the list is read again whenever the
+ * live stream changes and when devices are plugged in or out.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { MEDIA_DEVICES } from '../config';
+import { safeParseJSON } from '../utils/errors';
+
+const EMPTY_PREFERENCES = { audioInputId: null, videoInputId: null, facingMode: null };
+
+function loadPreferences() {
+  const stored = safeParseJSON(localStorage.getItem(MEDIA_DEVICES.PREFERENCES_KEY), {});
+  return { ...EMPTY_PREFERENCES, ...stored };
+}
+
+/**
+ * getUserMedia constraints for a capture mode and device choice.
+ * Remembered devices are only preferred ("ideal") so an unplugged
+ * one falls back to the default; a device picked just now is
+ * required ("exact") so a failed switch is reported, not ignored.
+ * @param {string} captureMode 'audio' or 'video'
+ * @param {Object} preferences { audioInputId, videoInputId, facingMode }
+ * @param {Object} [options]
+ * @param {Array<string>} [options.exact=[]] Preference keys to require,
+ *   e.g. the keys of the change the user just made
+ * @returns {MediaStreamConstraints}
+ */
+export function buildMediaConstraints(captureMode, preferences, { exact = [] } = {}) {
+  const match = (key) => (exact.includes(key) ? 'exact' : 'ideal');
+  const audio = preferences.audioInputId
+    ? { deviceId: { [match('audioInputId')]: preferences.audioInputId } }
+    : true;
+
+  if (captureMode !== 'video') {
+    return { audio };
+  }
+
+  let video = true;
+  if (preferences.videoInputId) {
+    video = { deviceId: { [match('videoInputId')]: preferences.videoInputId } };
+  } else if (preferences.facingMode) {
+    video = { facingMode: { [match('facingMode')]: preferences.facingMode } };
+  }
+  return { video, audio };
+}
+
+// Settings of the stream's first live track of a kind
+function activeSettings(stream, kind) {
+  const track = stream?.getTracks().find((t) => t.kind === kind && t.readyState === 'live');
+  return track?.getSettings?.() || {};
+}
+
+export default function useMediaDevices(stream) {
+  const [devices, setDevices] = useState([]);
+  const [preferences, setPreferences] = useState(loadPreferences);
+
+  const refreshDevices = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return [];
+    }
+    try {
+      const list = await navigator.mediaDevices.enumerateDevices();
+      setDevices(list);
+      return list;
+    } catch (err) {
+      console.warn('Could not list media devices:', err);
+      return [];
+    }
+  }, []);
+
+  // Re-read when permission may have changed (new stream) ...
+  useEffect(() => {
+    refreshDevices();
+  }, [stream, refreshDevices]);
+
+  // ... and when hardware is plugged in or out
+  useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.addEventListener) {
+      return undefined;
+    }
+    mediaDevices.addEventListener('devicechange', refreshDevices);
+    return () => mediaDevices.removeEventListener('devicechange', refreshDevices);
+  }, [refreshDevices]);
+
+  // Remember a working choice for the next visit
+  const savePreferences = useCallback((next) => {
+    const merged = { ...EMPTY_PREFERENCES, ...next };
+    setPreferences(merged);
+    try {
+      localStorage.setItem(MEDIA_DEVICES.PREFERENCES_KEY, JSON.stringify(merged));
+    } catch (err) {
+      console.warn('Could not save device preferences:', err);
+    }
+  }, []);
+
+  // Without permission the IDs are blank; such entries cannot be picked
+  const usable = (kind) => devices.filter((d) => d.kind === kind && d.deviceId);
+  const videoInputs = usable('videoinput');
+  const videoSettings = activeSettings(stream, 'video');
+  const activeFacingMode = MEDIA_DEVICES.FACING_MODES.includes(videoSettings.facingMode)
+    ? videoSettings.facingMode
+    : null;
+
+  return {
+    audioInputs: usable('audioinput'),
+    videoInputs,
+    preferences,
+    // What the live stream is actually using (the browser may not
+    // honour an "ideal" preference)
+    activeAudioId: activeSettings(stream, 'audio').deviceId || null,
+    activeVideoId: videoSettings.deviceId || null,
+    activeFacingMode,
+    // Front/back switching needs a second camera and one that reports
+    // which way it faces; desktop webcams don't, so they only get the
+    // camera list (an exact facingMode would fail on them)
+    canFlipCamera: videoInputs.length > 1 && activeFacingMode !== null,
+    savePreferences,
+    refreshDevices
+  };
+}
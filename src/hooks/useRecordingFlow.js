@@ -3,38 +3,87 @@
  * -------------------
  * Custom React hook that manages the entire audio/video
  * recording cycle:
- *   - Getting media permissions
+ *   - Driving the recording state machine
+ *     (reducers/recordingMachine.js), whose status replaces
+ *     the old isRecording/isPaused/submit-stage flags
+ *   - Getting media permissions with the remembered camera and
+ *     microphone (hooks/useMediaDevices.js), and switching
+ *     devices on the ready screen before recording starts
+ *   - Classifying camera/microphone failures (denied, no device,
+ *     ...) for the recovery screen
  *   - Handling pause, resume
  *   - 30-second timer (capped, but no auto-stop)
- *   - Generating a Blob URL of the final recording
+ *   - Keeping every take of the session (up to MAX_TAKES) for
+ *     the review screen, with the ones picked for upload. Each
+ *     take is registered with the blob registry
+ *     (services/blobRegistry.js), which owns its Blob and URL;
+ *     takes are released via releaseTake()/releaseRecording()
+ *     or when the hook unmounts
+ *   - Persisting each take chunk by chunk while it is recorded
+ *     (services/recordingSessions.js) until it is released,
+ *     and recovering unfinished ones into review
  *
  * Helps keep App.jsx lean by encapsulating recording logic.
  */
 
-import { useState, useRef, useEffect } from 'react';
-import { RECORDING_LIMITS, SUPPORTED_FORMATS } from '../config';
+import { useState, useRef, useEffect, useCallback, useReducer } from 'react';
+import { RECORDING_LIMITS, SERVICE_CONFIG, SUPPORTED_FORMATS } from '../config';
 import useCountdown from './useCountdown';
-import { createError, UPLOAD_ERRORS } from '../utils/errors';
+import useMediaDevices, { buildMediaConstraints } from './useMediaDevices';
+import {
+  createError,
+  classifyMediaError,
+  MEDIA_ERRORS,
+  MEDIA_ERROR_TYPES,
+  UPLOAD_ERRORS
+} from '../utils/errors';
+import { registerBlob, getBlob, releaseBlob } from '../services/blobRegistry';
+import {
+  beginRecordingSession,
+  appendSessionChunk,
+  discardRecordingSession,
+  suspendRecordingSession,
+  recoverRecordingSession
+} from '../services/recordingSessions';
+import {
+  recordingMachineReducer,
+  initialRecordingState,
+  canTransition,
+  RECORDING_STATES,
+  RECORDING_EVENTS
+} from '../reducers/recordingMachine';
 
 export default function useRecordingFlow() {
   // ===========================
   // State & References
   // ===========================
-  const [captureMode, setCaptureMode] = useState(null); // 'audio' or 'video'
+  // Flow state: { status, captureMode } (see reducers/recordingMachine.js)
+  const [machine, send] = useReducer(recordingMachineReducer, initialRecordingState);
+  const { status: recordingStatus, captureMode, mediaError } = machine;
   const [mediaStream, setMediaStream] = useState(null);
   const [mediaRecorder, setMediaRecorder] = useState(null);
-  const [recordedBlobUrl, setRecordedBlobUrl] = useState(null);
+  // Takes in recording order: { id, url, captureMode, mimeType, size,
+  // durationSeconds, recordedAt, sessionId }; id/url from the blob registry
+  const [takes, setTakes] = useState([]);
+  const takesRef = useRef([]);
+  const [selectedTakeIds, setSelectedTakeIds] = useState([]); // Takes to upload
   const recordedChunksRef = useRef([]);
 
-  // Recording state
-  const [isRecording, setIsRecording] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
+  // Convenience flags derived from the machine
+  const isRecording = recordingStatus === RECORDING_STATES.RECORDING;
+  const isPaused = recordingStatus === RECORDING_STATES.PAUSED;
+
+  // Available cameras/microphones and the remembered choice
+  const mediaDevices = useMediaDevices(mediaStream);
+  const [switchingDevice, setSwitchingDevice] = useState(false);
 
   // Countdown functionality using reusable hook
   const { countdownActive, countdownValue, startCountdown } = useCountdown();
 
-  // Elapsed time (up to 30s)
+  // Elapsed time (up to 30s); the ref lets the recorder's onstop read it
   const [elapsedSeconds, setElapsedSeconds] = useState(0);
+  const elapsedRef = useRef(0);
+  elapsedRef.current = elapsedSeconds;
 
   // Track the actual MIME type chosen by MediaRecorder
   const [actualMimeType, setActualMimeType] = useState(null);
@@ -45,7 +94,7 @@ export default function useRecordingFlow() {
   // Recording timer: caps at max duration, no auto-stop
   useEffect(() => {
     let intervalId;
-    if (isRecording && !isPaused) {
+    if (isRecording) {
       intervalId = setInterval(() => {
         setElapsedSeconds((prev) => {
           // If we've hit max duration, just cap it.
@@ -60,53 +109,224 @@ export default function useRecordingFlow() {
     return () => {
       if (intervalId) clearInterval(intervalId);
     };
-  }, [isRecording, isPaused]);
+  }, [isRecording]);
+
+  // Release the takes still held when the hook unmounts; unsaved
+  // takes stay on disk and are offered for recovery next time
+  useEffect(() => {
+    const heldTakesRef = takesRef;
+    return () => {
+      heldTakesRef.current.forEach((take) => {
+        releaseBlob(take.id);
+        suspendRecordingSession(take.sessionId);
+      });
+    };
+  }, []);
+
+  // ===========================
+  // Take Ownership
+  // ===========================
+  const updateTakes = useCallback((update) => {
+    takesRef.current = update(takesRef.current);
+    setTakes(takesRef.current);
+  }, []);
+
+  // Register a finished take; the newest take is the one picked for upload
+  const addTake = useCallback((blob, details) => {
+    const { id, url } = registerBlob(blob);
+    updateTakes((list) => [
+      ...list,
+      { id, url, size: blob.size, recordedAt: new Date().toISOString(), ...details }
+    ]);
+    setSelectedTakeIds([id]);
+  }, [updateTakes]);
+
+  // A take's Blob, without a round trip through its URL
+  const getTakeBlob = useCallback((takeId) => getBlob(takeId), []);
+
+  // Take uploaded, queued or discarded: free its memory and its
+  // crash-safe copy. keepSession leaves the copy on disk instead, to
+  // be offered for recovery (e.g. it could not be moved to the trash).
+  const releaseTake = useCallback((takeId, { keepSession = false } = {}) => {
+    const take = takesRef.current.find((t) => t.id === takeId);
+    if (!take) {
+      return;
+    }
+    releaseBlob(take.id);
+    if (keepSession) {
+      suspendRecordingSession(take.sessionId);
+    } else {
+      discardRecordingSession(take.sessionId);
+    }
+    updateTakes((list) => list.filter((t) => t.id !== takeId));
+    setSelectedTakeIds((ids) => ids.filter((id) => id !== takeId));
+  }, [updateTakes]);
+
+  // Release every take (start over)
+  const releaseRecording = useCallback(() => {
+    takesRef.current.forEach((take) => releaseTake(take.id));
+  }, [releaseTake]);
+
+  const toggleTakeSelected = useCallback((takeId) => {
+    setSelectedTakeIds((ids) => (ids.includes(takeId)
+      ? ids.filter((id) => id !== takeId)
+      : [...ids, takeId]));
+  }, []);
+
+  /**
+   * Load the take from an unfinished session (see
+   * components/SessionRecoveryPrompt.jsx) and go to review.
+   * @param {string} sessionId
+   * @returns {Promise<void>} Rejects when the session can't be read
+   */
+  const recoverSession = useCallback(async (sessionId) => {
+    const take = await recoverRecordingSession(sessionId);
+    addTake(take.blob, {
+      captureMode: take.captureMode,
+      mimeType: take.mimeType,
+      durationSeconds: null,
+      sessionId: take.sessionId
+    });
+    send({ type: RECORDING_EVENTS.RECOVER_SESSION, captureMode: take.captureMode });
+  }, [addTake]);
 
   // ===========================
   // Permission & Capture Setup
   // ===========================
-  async function handleVideoClick() {
+  // Permission state for the devices a mode needs, when the browser can tell
+  async function queryMediaPermission(mode) {
+    if (!navigator.permissions?.query) {
+      return null;
+    }
+    const names = mode === 'video' ? ['camera', 'microphone'] : ['microphone'];
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: true,
-        audio: true,
-      });
-      setMediaStream(stream);
-      setCaptureMode('video');
+      const states = await Promise.all(names.map((name) => navigator.permissions.query({ name })));
+      if (states.some((status) => status.state === 'denied')) return 'denied';
+      if (states.some((status) => status.state === 'prompt')) return 'prompt';
+      return 'granted';
     } catch (err) {
-      const structuredError = createError(
-        UPLOAD_ERRORS.PERMISSION_DENIED,
-        'Failed to access camera and microphone for video recording',
-        err
+      // Not every browser can query camera/microphone permissions
+      return null;
+    }
+  }
+
+  // Structured error with the MEDIA_ERRORS reason for the recovery screen
+  async function toMediaError(err, mode, failureMessage) {
+    const reason = classifyMediaError(err, await queryMediaPermission(mode));
+    return { ...createError(MEDIA_ERROR_TYPES[reason], failureMessage, err), reason };
+  }
+
+  async function requestMedia(mode, failureMessage) {
+    if (!canTransition(recordingStatus, RECORDING_EVENTS.REQUEST_MEDIA)) {
+      return;
+    }
+    send({ type: RECORDING_EVENTS.REQUEST_MEDIA, captureMode: mode });
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia(
+        buildMediaConstraints(mode, mediaDevices.preferences)
       );
-      console.error('Media access error (video mode):', structuredError);
+      setMediaStream(stream);
+      send({ type: RECORDING_EVENTS.MEDIA_READY });
+    } catch (err) {
+      const structuredError = await toMediaError(err, mode, failureMessage);
+      console.error(`Media access error (${mode} mode):`, structuredError);
+      send({ type: RECORDING_EVENTS.MEDIA_FAILED, error: structuredError });
     }
   }
 
-  async function handleAudioClick() {
+  function handleVideoClick() {
+    return requestMedia(
+      'video',
+      'Failed to access camera and microphone for video recording'
+    );
+  }
+
+  function handleAudioClick() {
+    return requestMedia(
+      'audio',
+      'Failed to access microphone for audio recording'
+    );
+  }
+
+  // Open a stream while another is live. Some phones cannot open
+  // two cameras at once, so on NotReadableError the current stream
+  // is stopped first and the request retried.
+  async function openReplacementStream(constraints, currentStream) {
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-      });
+      return await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (err) {
+      if (err?.name !== 'NotReadableError') {
+        throw err;
+      }
+      currentStream.getTracks().forEach((track) => track.stop());
+      return navigator.mediaDevices.getUserMedia(constraints);
+    }
+  }
+
+  /**
+   * Hot-swap the camera/microphone on the ready screen and remember
+   * the choice. Only possible before recording starts.
+   * @param {Object} change Any of { audioInputId, videoInputId, facingMode }
+   * @returns {Promise<string|null>} null once the new device is live,
+   *   otherwise why it failed (MEDIA_ERRORS)
+   */
+  async function switchDevices(change) {
+    if (recordingStatus !== RECORDING_STATES.READY || !mediaStream || switchingDevice) {
+      return MEDIA_ERRORS.UNKNOWN;
+    }
+    const previous = mediaDevices.preferences;
+    const next = { ...previous, ...change };
+    setSwitchingDevice(true);
+    try {
+      // Only the device just picked is required; the others stay
+      // preferred, so a remembered but unplugged one doesn't block it
+      const stream = await openReplacementStream(
+        buildMediaConstraints(captureMode, next, { exact: Object.keys(change) }),
+        mediaStream
+      );
+      mediaStream.getTracks().forEach((track) => track.stop());
       setMediaStream(stream);
-      setCaptureMode('audio');
+      mediaDevices.savePreferences(next);
+      return null;
     } catch (err) {
+      const reason = classifyMediaError(err);
       const structuredError = createError(
-        UPLOAD_ERRORS.PERMISSION_DENIED,
-        'Failed to access microphone for audio recording',
+        MEDIA_ERROR_TYPES[reason],
+        'Failed to switch to the selected camera or microphone',
         err
       );
-      console.error('Media access error (audio mode):', structuredError);
+      console.error('Device switch error:', structuredError);
+
+      // Still on the old device unless it had to be stopped for the retry
+      if (mediaStream.getTracks().some((track) => track.readyState === 'live')) {
+        return reason;
+      }
+      try {
+        setMediaStream(await navigator.mediaDevices.getUserMedia(
+          buildMediaConstraints(captureMode, previous)
+        ));
+      } catch (restoreError) {
+        console.error('Could not reopen the previous device:', restoreError);
+        setMediaStream(null);
+        send({
+          type: RECORDING_EVENTS.MEDIA_FAILED,
+          error: await toMediaError(restoreError, captureMode, 'Lost access to the camera or microphone')
+        });
+      }
+      return reason;
+    } finally {
+      setSwitchingDevice(false);
     }
   }
 
   // ===========================
   // Recording Lifecycle
   // ===========================
+  // Returns false when the recorder could not be created
   function beginRecording() {
     if (!mediaStream) {
       console.warn('No media stream available to record.');
-      return;
+      return false;
     }
     recordedChunksRef.current = [];
 
@@ -132,7 +352,7 @@ export default function useRecordingFlow() {
         err
       );
       console.error('MediaRecorder creation error:', structuredError);
-      return;
+      return false;
     }
 
     // Store the actual MIME type used
@@ -141,55 +361,92 @@ export default function useRecordingFlow() {
     recorder.onstart = () => console.log('Recorder started');
     recorder.onpause = () => console.log('Recorder paused');
     recorder.onresume = () => console.log('Recorder resumed');
+    // Opened once the recorder has started (see below)
+    let sessionId = null;
+
+    // Also runs when the recorder stops by itself (device unplugged,
+    // track ended, recorder error): the take so far still goes to review
     recorder.onstop = () => {
       console.log('Recorder stopped');
       const completeBlob = new Blob(recordedChunksRef.current, {
         type: recorder.mimeType,
       });
-      const url = URL.createObjectURL(completeBlob);
-      setRecordedBlobUrl(url);
+      recordedChunksRef.current = [];
+      addTake(completeBlob, {
+        captureMode,
+        mimeType: recorder.mimeType,
+        durationSeconds: elapsedRef.current,
+        sessionId
+      });
+      mediaStream.getTracks().forEach((track) => track.stop());
+      setMediaStream(null);
+      setMediaRecorder(null);
+      send({ type: RECORDING_EVENTS.RECORDER_STOPPED });
+    };
+
+    recorder.onerror = (evt) => {
+      console.error('MediaRecorder error:', evt.error || evt);
+      send({ type: RECORDING_EVENTS.RECORDER_FAILED });
     };
 
+    // Chunks arrive every TIMESLICE_MS and are saved as they come
     recorder.ondataavailable = (evt) => {
       if (evt.data && evt.data.size > 0) {
         recordedChunksRef.current.push(evt.data);
+        appendSessionChunk(sessionId, recordedChunksRef.current.length - 1, evt.data);
       }
     };
 
-    recorder.start();
+    try {
+      recorder.start(SERVICE_CONFIG.RECORDING_SESSIONS.TIMESLICE_MS);
+    } catch (err) {
+      const structuredError = createError(UPLOAD_ERRORS.UNKNOWN, 'Failed to start recording', err);
+      console.error('MediaRecorder start error:', structuredError);
+      return false;
+    }
+    // The first chunk arrives asynchronously, after this
+    sessionId = beginRecordingSession({ captureMode, mimeType: recorder.mimeType });
     setMediaRecorder(recorder);
-    setIsRecording(true);
-    setIsPaused(false);
+    return true;
   }
 
   // Start with countdown using reusable hook
   function handleStartRecording() {
+    if (!canTransition(recordingStatus, RECORDING_EVENTS.START) || switchingDevice) {
+      return;
+    }
+    send({ type: RECORDING_EVENTS.START });
     startCountdown(() => {
       setElapsedSeconds(0);
-      beginRecording();
+      send({ type: beginRecording() ? RECORDING_EVENTS.COUNTDOWN_DONE : RECORDING_EVENTS.RECORDER_FAILED });
     });
   }
 
   function handlePause() {
-    if (mediaRecorder && mediaRecorder.state === 'recording') {
+    if (isRecording && mediaRecorder?.state === 'recording') {
       mediaRecorder.pause();
-      setIsRecording(false);
-      setIsPaused(true);
+      send({ type: RECORDING_EVENTS.PAUSE });
     }
   }
 
   function handleResume() {
-    setIsPaused(false);
+    if (!isPaused) {
+      return;
+    }
+    send({ type: RECORDING_EVENTS.RESUME });
     startCountdown(() => {
       if (mediaRecorder && mediaRecorder.state === 'paused') {
         mediaRecorder.resume();
-        setIsRecording(true);
       }
+      send({ type: RECORDING_EVENTS.COUNTDOWN_DONE });
     });
   }
 
+  // Stop the take (review follows once the recorder has flushed it)
+  // and release the camera/microphone
   function handleDone() {
     if (mediaRecorder && mediaRecorder.state !== 'inactive') {
+      send({ type: RECORDING_EVENTS.STOP });
       mediaRecorder.stop();
     }
     if (mediaStream) {
@@ -197,8 +454,31 @@ export default function useRecordingFlow() {
     }
     setMediaStream(null);
     setMediaRecorder(null);
-    setIsRecording(false);
-    setIsPaused(false);
+  }
+
+  // ===========================
+  // Takes
+  // ===========================
+  const canRecordAnotherTake = takes.length < RECORDING_LIMITS.MAX_TAKES;
+
+  // From review: open the camera/microphone again for a new take
+  function recordAnotherTake() {
+    if (!canRecordAnotherTake || recordingStatus !== RECORDING_STATES.REVIEW) {
+      return undefined;
+    }
+    return captureMode === 'video' ? handleVideoClick() : handleAudioClick();
+  }
+
+  // Back to the takes without recording another
+  function returnToReview() {
+    if (takesRef.current.length === 0 || !canTransition(recordingStatus, RECORDING_EVENTS.RETURN_TO_REVIEW)) {
+      return;
+    }
+    if (mediaStream) {
+      mediaStream.getTracks().forEach((track) => track.stop());
+    }
+    setMediaStream(null);
+    send({ type: RECORDING_EVENTS.RETURN_TO_REVIEW });
   }
 
   // ===========================
@@ -211,8 +491,26 @@ export default function useRecordingFlow() {
     isRecording,
     isPaused,
     elapsedSeconds,
-    recordedBlobUrl,
+    recordingStatus,
+    mediaError,
+    sendRecordingEvent: send,
+    takes,
+    selectedTakeIds,
+    canRecordAnotherTake,
+    toggleTakeSelected,
+    getTakeBlob,
+    releaseTake,
+    releaseRecording,
+    recoverSession,
     mediaStream,
+    // Device picker (ready screen)
+    audioInputs: mediaDevices.audioInputs,
+    videoInputs: mediaDevices.videoInputs,
+    activeAudioId: mediaDevices.activeAudioId,
+    activeVideoId: mediaDevices.activeVideoId,
+    facingMode: mediaDevices.activeFacingMode,
+    canFlipCamera: mediaDevices.canFlipCamera,
+    switchingDevice,
     // Expose actualMimeType so parent can set file extension accordingly
     actualMimeType,
 
@@ -222,8 +520,8 @@ export default function useRecordingFlow() {
     handlePause,
     handleResume,
     handleDone,
-
-    // We also expose setCaptureMode if your UI needs it
-    setCaptureMode,
+    switchDevices,
+    recordAnotherTake,
+    returnToReview,
   };
 }
@@ -0,0 +1,37 @@
+/**
+ * useStorageQuota.js
+ * ------------------
+ * Reads the browser storage estimate on mount and reports
+ * whether a full-length audio or video take still fits.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { checkSpaceForTakes } from '../services/storageQuota';
+
+export default function useStorageQuota() {
+  const [space, setSpace] = useState(null);
+
+  const refresh = useCallback(async () => {
+    const result = await checkSpaceForTakes();
+    setSpace(result);
+    return result;
+  }, []);
+
+  useEffect(() => {
+    let active = true;
+    checkSpaceForTakes().then((result) => {
+      if (active) setSpace(result);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return {
+    estimate: space?.estimate || null,
+    // Assume there is room until the estimate says otherwise
+    hasRoomForAudio: space ? space.audio : true,
+    hasRoomForVideo: space ? space.video : true,
+    refresh
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * useUploadQueue.js
+ * -----------------
+ * Subscribes a component to the offline upload queue so it can
+ * show queued/failed recordings and offer retry or removal.
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  subscribeToUploadQueue,
+  retryQueuedUpload,
+  removeQueuedUpload,
+  QUEUE_STATUS
+} from '../services/uploadQueue';
+
+export default function useUploadQueue() {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => subscribeToUploadQueue(setItems), []);
+
+  return {
+    items,
+    pendingItems: items.filter((item) => item.status !== QUEUE_STATUS.FAILED),
+    failedItems: items.filter((item) => item.status === QUEUE_STATUS.FAILED),
+    retry: retryQueuedUpload,
+    remove: removeQueuedUpload
+  };
+}
@@ -30,6 +30,26 @@ import { LayoutProvider } from './components/layout';
 import TokenAdmin from './pages/TokenAdmin';
 import DemoPage from './pages/DemoPage'; 
 
+// Passphrase prompt for encrypted recordings
+import UnlockGate from './components/UnlockGate';
+
+// Offline upload queue: retries recordings that could not be uploaded
+import { startUploadQueue } from './services/uploadQueue';
+import { requestPersistentStorage } from './services/storageQuota';
+import { purgeExpiredTrash } from './services/recordingTrash';
+import { startRetention } from './services/retentionPolicy';
+
+startUploadQueue();
+
+// Ask the browser not to evict saved recordings under storage pressure
+requestPersistentStorage();
+
+// Drop trashed recordings past their retention period
+purgeExpiredTrash().catch((error) => console.warn('Trash purge failed:', error));
+
+// Retention rules for recordings kept on this device
+startRetention();
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
@@ -42,10 +62,10 @@ root.render(
               <Route path="/" element={<App />} />
 
               {/* Existing route => playback page */}
-              <Route path="/view/:docId" element={<ViewRecording />} />
+              <Route path="/view/:docId" element={<UnlockGate><ViewRecording /></UnlockGate>} />
 
               {/* NEW: Admin route => /admin */}
-              <Route path="/admin" element={<AdminPage />} />
+              <Route path="/admin" element={<UnlockGate><AdminPage /></UnlockGate>} />
 
               {/* NEW: Token admin route => /admin/tokens */}
               <Route path="/admin/tokens" element={<TokenAdmin />} />
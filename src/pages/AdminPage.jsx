@@ -5,117 +5,239 @@
  * AdminPage.jsx
  * -------------
  * Allows an admin user to filter and view recordings
- * by date and media type. Fetches metadata from Firestore
- * via the firebaseRecordingService. Displays a QR code to 
- * open each recording. Now sorts the filtered results in
- * descending time order so the newest recording is on top.
+ * by date and media type. Pages through results with
+ * queryRecordings on the active storage backend, newest
+ * first, with "Load more". Displays a QR code to open each
+ * recording.
+ * Individual recordings can be renamed, re-typed or moved to
+ * the trash, from where they can be restored.
+ * "Export all" downloads every recording plus a metadata
+ * manifest as one ZIP; "Import" loads such a ZIP back into
+ * the active backend. Storage, encryption, maintenance and
+ * retention panels cover this device's usage, its passphrase
+ * protection, integrity repairs and automatic cleanup. The
+ * results refresh by themselves when recordings change in
+ * another tab.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { QRCodeCanvas } from 'qrcode.react';
-import { COLORS, LAYOUT } from '../config';
+import { COLORS, LAYOUT, SERVICE_CONFIG } from '../config';
 
-// Import local storage service layer
-import { fetchAllRecordings } from '../services/localRecordingService';
+// Import storage-agnostic service layer
+import {
+  getActiveStorageType,
+  queryRecordings,
+  deleteRecording,
+  updateRecording,
+  onRecordingsChanged
+} from '../services/recordingService';
+import { QUERY_SORT, recordingTimestamp } from '../services/recordingQuery';
+import { exportRecordingsZip, downloadBlob } from '../services/recordingExport';
+import { importRecordingsArchive, DUPLICATE_STRATEGY, SAME_MEDIA_STRATEGY } from '../services/recordingImport';
+import UploadQueueStatus from '../components/UploadQueueStatus';
+import StorageUsagePanel from '../components/StorageUsagePanel';
+import EncryptionPanel from '../components/EncryptionPanel';
+import StorageMaintenancePanel from '../components/StorageMaintenancePanel';
+import TrashPanel from '../components/TrashPanel';
+import RetentionPanel from '../components/RetentionPanel';
+import { moveRecordingToTrash } from '../services/recordingTrash';
 
 function AdminPage() {
   const [selectedDate, setSelectedDate] = useState('');
   const [mediaType, setMediaType] = useState('audio');
-  const [allRecordings, setAllRecordings] = useState([]);
   const [filteredResults, setFilteredResults] = useState([]);
+  const [activeQuery, setActiveQuery] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [duplicateStrategy, setDuplicateStrategy] = useState(DUPLICATE_STRATEGY.SKIP);
+  const [sameMediaStrategy, setSameMediaStrategy] = useState(SAME_MEDIA_STRATEGY.LINK);
+  const [importProgress, setImportProgress] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState({ fileName: '', fileType: 'audio' });
 
-  // On mount, fetch all docs from "recordings"
+  // Build the service query for the chosen day (local time) and type
+  function buildQuery() {
+    const query = { fileType: mediaType, sort: QUERY_SORT.NEWEST };
+    if (selectedDate) {
+      // e.g. "2025-01-26" => [midnight, next midnight)
+      const [year, month, day] = selectedDate.split('-').map(Number);
+      query.from = new Date(year, month - 1, day);
+      query.to = new Date(year, month - 1, day + 1);
+    }
+    return query;
+  }
+
+  // Fetch one page; append to the results when continuing from a cursor
+  async function loadPage(query, cursor) {
+    setLoading(true);
+    try {
+      const page = await queryRecordings({ ...query, cursor });
+      setFilteredResults((prev) => (cursor ? [...prev, ...page.items] : page.items));
+      setNextCursor(page.nextCursor);
+      setActiveQuery(query);
+    } catch (err) {
+      console.error('Error querying recordings:', err);
+      alert(err.message || 'Failed to load recordings.');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Another tab changed the recordings: re-run the active query,
+  // keeping as many results as are loaded now. Changes made on
+  // this page already update the list themselves.
+  const resultCount = filteredResults.length;
   useEffect(() => {
-    async function loadRecordings() {
+    if (!activeQuery) return undefined;
+
+    let timer = null;
+    const refresh = async () => {
       try {
-        const results = await fetchAllRecordings();
-        setAllRecordings(results);
+        const page = await queryRecordings({
+          ...activeQuery,
+          limit: Math.max(resultCount, SERVICE_CONFIG.QUERY.DEFAULT_LIMIT)
+        });
+        setFilteredResults(page.items);
+        setNextCursor(page.nextCursor);
       } catch (err) {
-        console.error('Error fetching recordings:', err);
+        console.error('Error refreshing recordings:', err);
+      }
+    };
+
+    const unsubscribe = onRecordingsChanged((change) => {
+      if (!change.remote) return;
+      clearTimeout(timer);
+      timer = setTimeout(refresh, SERVICE_CONFIG.SYNC.REFRESH_DEBOUNCE_MS);
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [activeQuery, resultCount]);
+
+  // Handle user clicking Submit (an empty date lists every day)
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    loadPage(buildQuery(), null);
+  };
+
+  const handleLoadMore = () => {
+    loadPage(activeQuery, nextCursor);
+  };
+
+  const handleExport = async () => {
+    setExportProgress({ done: 0, total: 0 });
+    try {
+      const { blob, manifest } = await exportRecordingsZip({
+        onProgress: (done, total) => setExportProgress({ done, total })
+      });
+      const date = new Date().toISOString().slice(0, 10);
+      downloadBlob(blob, `love-retold-recordings_${date}.zip`);
+
+      const missing = manifest.recordings.filter((rec) => !rec.path).length;
+      if (missing > 0) {
+        alert(`Exported ${manifest.count - missing} of ${manifest.count} recordings. See manifest.json for the ones whose media could not be read.`);
       }
+    } catch (err) {
+      alert(err.message || 'Failed to export recordings.');
+    } finally {
+      setExportProgress(null);
     }
-    loadRecordings();
-  }, []);
-
-  // Helper to get a numeric timestamp from either createdAt or fileName
-  function getTimestamp(rec) {
-    if (rec.createdAt?.toDate) {
-      // Firestore's createdAt
-      return rec.createdAt.toDate().getTime(); 
-    } else if (rec.fileName) {
-      // Parse from fileName, e.g. "2025-01-26_145210_audio.webm"
-      // We'll convert "2025-01-26_145210" into a Date if possible.
-      const [datePart, timePart] = rec.fileName.split('_'); 
-      // datePart => "2025-01-26"
-      // timePart => "145210"
-      const [yr, mo, dy] = datePart.split('-');
-      const year = parseInt(yr, 10);
-      const month = parseInt(mo, 10) - 1; // zero-based
-      const day = parseInt(dy, 10);
-
-      if (timePart?.length >= 6) {
-        const hh = parseInt(timePart.slice(0, 2), 10);
-        const mm = parseInt(timePart.slice(2, 4), 10);
-        const ss = parseInt(timePart.slice(4, 6), 10);
-        const maybeDate = new Date(year, month, day, hh, mm, ss);
-        return maybeDate.getTime();
-      } else {
-        // If we can't parse properly, default to 0
-        return 0;
+  };
+
+  const handleImport = async () => {
+    if (!importFile) return;
+    setImportReport(null);
+    setImportProgress({ done: 0, total: 0 });
+    try {
+      const report = await importRecordingsArchive(importFile, {
+        onDuplicate: duplicateStrategy,
+        onSameMedia: sameMediaStrategy,
+        onProgress: (done, total) => setImportProgress({ done, total })
+      });
+      setImportReport(report);
+      setImportFile(null);
+      // Refresh the visible results so new recordings show up
+      if (activeQuery) {
+        loadPage(activeQuery, null);
       }
+    } catch (err) {
+      alert(err.message || 'Failed to import recordings.');
+    } finally {
+      setImportProgress(null);
     }
-    // If neither field is available, default to 0
-    return 0;
-  }
+  };
 
-  // Handle user clicking Submit
-  const handleSubmit = (e) => {
-    e.preventDefault();
+  // Apply a change to the visible results (null removes the recording)
+  const replaceRecording = (docId, updater) => {
+    setFilteredResults((list) => list.flatMap((rec) => {
+      if (rec.id !== docId) return [rec];
+      const next = updater(rec);
+      return next ? [next] : [];
+    }));
+  };
 
-    if (!selectedDate) {
-      alert('Please select a date.');
+  // Delete => trash; a recording that cannot be copied to the
+  // trash (e.g. its media is gone) can still be deleted for good
+  const handleDelete = async (rec) => {
+    if (!window.confirm(`Move "${rec.fileName}" to the trash?`)) {
       return;
     }
-
-    // e.g. "2025-01-26"
-    const [, monthStr, dayStr] = selectedDate.split('-');
-    const dayNum = parseInt(dayStr, 10);
-    const monthNum = parseInt(monthStr, 10);
-
-    // Filter local array
-    const results = allRecordings.filter((rec) => {
-      // Check media type
-      if (rec.fileType !== mediaType) return false;
-
-      // Extract dd/mm from createdAt or fileName
-      let d, m;
-      if (rec.createdAt?.toDate) {
-        const dt = rec.createdAt.toDate();
-        d = dt.getDate();      // 1..31
-        m = dt.getMonth() + 1; // 1..12
-      } else if (rec.fileName) {
-        // e.g. "2025-01-26_145210_audio.webm"
-        const fileParts = rec.fileName.split('_');
-        const datePart = fileParts[0].split('-'); 
-        // datePart => ["2025","01","26"]
-        d = parseInt(datePart[2], 10);
-        m = parseInt(datePart[1], 10);
-      } else {
-        return false;
+    try {
+      await moveRecordingToTrash(rec.id);
+      replaceRecording(rec.id, () => null);
+    } catch (trashErr) {
+      console.error('Error moving recording to trash:', trashErr);
+      const reason = trashErr.message || 'unknown error';
+      if (!window.confirm(`It could not be moved to the trash (${reason}). Delete it permanently?`)) {
+        return;
+      }
+      try {
+        await deleteRecording(rec.id);
+        replaceRecording(rec.id, () => null);
+      } catch (err) {
+        console.error('Error deleting recording:', err);
+        alert(err.message || 'Failed to delete recording.');
       }
+    }
+  };
 
-      return (d === dayNum && m === monthNum);
-    });
+  // Restored from the trash or cleaned up by retention: reload
+  // the current results if any are shown
+  const handleResultsChanged = () => {
+    if (activeQuery) {
+      loadPage(activeQuery, null);
+    }
+  };
 
-    // NEW: Sort results in descending order by time
-    results.sort((a, b) => {
-      const aTime = getTimestamp(a);
-      const bTime = getTimestamp(b);
-      // "bTime - aTime" => newest first
-      return bTime - aTime;
-    });
+  const startEditing = (rec) => {
+    setEditingId(rec.id);
+    setEditDraft({ fileName: rec.fileName || '', fileType: rec.fileType || 'audio' });
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    try {
+      const updated = await updateRecording(editingId, editDraft);
+      replaceRecording(editingId, (rec) => ({ ...rec, ...updated }));
+      setEditingId(null);
+    } catch (err) {
+      console.error('Error updating recording:', err);
+      alert(err.message || 'Failed to update recording.');
+    }
+  };
 
-    setFilteredResults(results);
+  const smallButtonStyle = {
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '0.85rem',
+    padding: '6px 12px',
+    cursor: 'pointer',
+    marginRight: '8px'
   };
 
   return (
@@ -133,6 +255,98 @@ function AdminPage() {
           Admin - Filter Recordings
         </h2>
 
+        <UploadQueueStatus style={{ marginBottom: '20px' }} />
+
+        <StorageUsagePanel style={{ marginBottom: '20px' }} />
+
+        {getActiveStorageType() === 'local' && (
+          <>
+            <EncryptionPanel style={{ marginBottom: '20px' }} />
+            <StorageMaintenancePanel style={{ marginBottom: '20px' }} />
+            <RetentionPanel onApplied={handleResultsChanged} style={{ marginBottom: '20px' }} />
+          </>
+        )}
+
+        <TrashPanel onRestored={handleResultsChanged} style={{ marginBottom: '20px' }} />
+
+        <div style={{ textAlign: 'right', marginBottom: '20px' }}>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={!!exportProgress}
+            style={{ ...smallButtonStyle, marginRight: 0, backgroundColor: COLORS.BACKGROUND_SECONDARY, color: COLORS.PRIMARY_DARK }}
+          >
+            {exportProgress
+              ? `Exporting ${exportProgress.done}/${exportProgress.total}...`
+              : 'Export all (ZIP)'}
+          </button>
+        </div>
+
+        {/* Import an exported archive */}
+        <div
+          style={{
+            backgroundColor: '#fff',
+            border: '1px solid #ccc',
+            borderRadius: '8px',
+            padding: '12px',
+            marginBottom: '20px',
+            fontSize: '0.9rem'
+          }}
+        >
+          <div style={{ marginBottom: '8px' }}><strong>Import recordings</strong></div>
+          <input
+            key={importFile ? 'selected' : 'empty'}
+            type="file"
+            accept=".zip,application/zip"
+            onChange={(e) => setImportFile(e.target.files[0] || null)}
+            style={{ marginBottom: '8px', maxWidth: '100%' }}
+          />
+          <div style={{ marginBottom: '8px' }}>
+            <label style={{ marginRight: '8px' }}>Existing IDs:</label>
+            <select
+              value={duplicateStrategy}
+              onChange={(e) => setDuplicateStrategy(e.target.value)}
+              style={{ fontSize: '0.9rem', padding: '4px' }}
+            >
+              <option value={DUPLICATE_STRATEGY.SKIP}>Skip</option>
+              <option value={DUPLICATE_STRATEGY.RENAME}>Import as copy</option>
+            </select>
+          </div>
+          <div style={{ marginBottom: '8px' }}>
+            <label style={{ marginRight: '8px' }}>Already stored media:</label>
+            <select
+              value={sameMediaStrategy}
+              onChange={(e) => setSameMediaStrategy(e.target.value)}
+              style={{ fontSize: '0.9rem', padding: '4px' }}
+            >
+              <option value={SAME_MEDIA_STRATEGY.LINK}>Link to the stored copy</option>
+              <option value={SAME_MEDIA_STRATEGY.COPY}>Import anyway</option>
+            </select>
+          </div>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={!importFile || !!importProgress}
+            style={{ ...smallButtonStyle, backgroundColor: COLORS.PRIMARY_DARK, color: COLORS.PRIMARY_LIGHT }}
+          >
+            {importProgress
+              ? `Importing ${importProgress.done}/${importProgress.total}...`
+              : 'Import'}
+          </button>
+
+          {importReport && (
+            <div style={{ marginTop: '10px' }}>
+              Imported {importReport.imported.length}, already stored {importReport.linked.length},
+              skipped {importReport.skipped.length}, failed {importReport.failed.length}.
+              {[...importReport.skipped, ...importReport.failed].map((item, index) => (
+                <div key={index} style={{ color: COLORS.TEXT_GRAY, marginTop: '4px' }}>
+                  {item.fileName || item.id || 'Unknown entry'}: {item.reason}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
         {/* Filter Form */}
         <form onSubmit={handleSubmit} style={{ marginTop: LAYOUT.MARGIN_TOP_SMALL }}>
           <div style={{ marginBottom: '15px', display: 'flex', flexDirection: 'column' }}>
@@ -178,6 +392,7 @@ function AdminPage() {
 
           <button
             type="submit"
+            disabled={loading}
             style={{
               backgroundColor: COLORS.PRIMARY_DARK,
               color: COLORS.PRIMARY_LIGHT,
@@ -199,21 +414,13 @@ function AdminPage() {
             let dd = '--', mm = '--';
             let HH = '--', Min = '--';
 
-            if (rec.createdAt?.toDate) {
-              const dt = rec.createdAt.toDate();
+            const timestamp = recordingTimestamp(rec);
+            if (timestamp) {
+              const dt = new Date(timestamp);
               dd = String(dt.getDate()).padStart(2, '0');
               mm = String(dt.getMonth() + 1).padStart(2, '0');
               HH = String(dt.getHours()).padStart(2, '0');
               Min = String(dt.getMinutes()).padStart(2, '0');
-            } else if (rec.fileName) {
-              const [datePart, timePart] = rec.fileName.split('_');
-              const [, mo, dy] = datePart.split('-');
-              dd = dy;
-              mm = mo;
-              if (timePart?.length >= 6) {
-                HH = timePart.slice(0, 2);
-                Min = timePart.slice(2, 4);
-              }
             }
 
             const docUrl = `${window.location.origin}/view/${rec.id}`;
@@ -234,6 +441,11 @@ function AdminPage() {
                   <span style={{ marginLeft: '12px' }}>
                     <strong>Time:</strong> {HH}:{Min}
                   </span>
+                  {rec.mediaMissing && (
+                    <span style={{ marginLeft: '12px', color: COLORS.RECORDING_RED }}>
+                      Media missing
+                    </span>
+                  )}
                 </div>
 
                 {/* QR code => link to /view/:docId */}
@@ -249,9 +461,91 @@ function AdminPage() {
                 >
                   Open Recording
                 </a>
+
+                {editingId === rec.id ? (
+                  <form onSubmit={handleSaveEdit} style={{ marginTop: '12px' }}>
+                    <input
+                      type="text"
+                      value={editDraft.fileName}
+                      onChange={(e) => setEditDraft({ ...editDraft, fileName: e.target.value })}
+                      style={{
+                        width: '100%',
+                        boxSizing: 'border-box',
+                        fontSize: '0.9rem',
+                        padding: '6px',
+                        borderRadius: '6px',
+                        border: '1px solid #ccc',
+                        marginBottom: '8px'
+                      }}
+                    />
+                    <select
+                      value={editDraft.fileType}
+                      onChange={(e) => setEditDraft({ ...editDraft, fileType: e.target.value })}
+                      style={{ fontSize: '0.9rem', padding: '4px', marginRight: '8px' }}
+                    >
+                      <option value="audio">Audio</option>
+                      <option value="video">Video</option>
+                    </select>
+                    <button
+                      type="submit"
+                      style={{ ...smallButtonStyle, backgroundColor: COLORS.PRIMARY_DARK, color: COLORS.PRIMARY_LIGHT }}
+                    >
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                      style={{ ...smallButtonStyle, backgroundColor: COLORS.BACKGROUND_SECONDARY, color: COLORS.PRIMARY_DARK }}
+                    >
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <div style={{ marginTop: '12px' }}>
+                    <button
+                      type="button"
+                      onClick={() => startEditing(rec)}
+                      style={{ ...smallButtonStyle, backgroundColor: COLORS.BACKGROUND_SECONDARY, color: COLORS.PRIMARY_DARK }}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(rec)}
+                      style={{ ...smallButtonStyle, backgroundColor: COLORS.RECORDING_RED, color: '#FFFFFF' }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
               </div>
             );
           })}
+
+          {activeQuery && !loading && filteredResults.length === 0 && (
+            <p style={{ textAlign: 'center', color: COLORS.TEXT_GRAY }}>No recordings found.</p>
+          )}
+
+          {nextCursor && (
+            <button
+              type="button"
+              onClick={handleLoadMore}
+              disabled={loading}
+              style={{
+                display: 'block',
+                margin: '0 auto',
+                backgroundColor: COLORS.BACKGROUND_SECONDARY,
+                color: COLORS.PRIMARY_DARK,
+                border: 'none',
+                borderRadius: '8px',
+                fontSize: '1rem',
+                padding: '8px 14px',
+                cursor: 'pointer'
+              }}
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -3,8 +3,8 @@
  * -----------------
  * A dedicated page for playing back a specific recording
  * based on the doc ID in the URL. Fetches the doc from 
- * Firestore, loads the media file from Storage, and shows
- * either video or audio controls.
+ * the recording service (media is regenerated from the
+ * persisted Blob), and shows either video or audio controls.
  */
 
 import React, { useEffect, useState, useRef } from 'react';
@@ -16,7 +16,7 @@ import { LAYOUT } from '../config';
 // import { doc, getDoc } from 'firebase/firestore';
 // import { db } from '../services/firebase';
 
-import { fetchRecording } from '../services/localRecordingService';
+import { fetchRecording } from '../services/recordingService';
 
 function ViewRecording() {
   const { docId } = useParams();
@@ -31,6 +31,8 @@ function ViewRecording() {
 
   useEffect(() => {
     let isMounted = true;
+    // Object URL generated for this page; revoked on unmount
+    let mediaUrl = null;
 
     async function fetchDocData() {
       try {
@@ -38,11 +40,17 @@ function ViewRecording() {
         if (!data) {
           throw new Error('No matching document found.');
         }
-        if (isMounted) {
-          setDownloadURL(data.downloadURL);
-          setFileType(data.fileType);
-          setLoading(false);
+        if (data.downloadURL?.startsWith('blob:')) {
+          mediaUrl = data.downloadURL;
         }
+        if (!isMounted) {
+          // Unmounted while loading: cleanup already ran
+          if (mediaUrl) URL.revokeObjectURL(mediaUrl);
+          return;
+        }
+        setDownloadURL(data.downloadURL);
+        setFileType(data.fileType);
+        setLoading(false);
       } catch (err) {
         if (isMounted) {
           setError(err.message);
@@ -54,6 +62,9 @@ function ViewRecording() {
     fetchDocData();
     return () => {
       isMounted = false;
+      if (mediaUrl) {
+        URL.revokeObjectURL(mediaUrl);
+      }
     };
   }, [docId]);
 
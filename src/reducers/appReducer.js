@@ -3,19 +3,21 @@
  * -------------
  * Central state management for App component using useReducer.
  * Replaces multiple useState calls while preserving exact timing and behavior.
+ * Which screen the recording flow is on (review, uploading, done)
+ * lives in the recording state machine (recordingMachine.js);
+ * this reducer keeps the data shown on those screens.
  */
 
 // Action types
 export const APP_ACTIONS = {
   // Navigation actions
-  SET_SUBMIT_STAGE: 'SET_SUBMIT_STAGE',
   SET_SHOW_START_OVER_CONFIRM: 'SET_SHOW_START_OVER_CONFIRM',
-  SET_SHOW_CONFETTI: 'SET_SHOW_CONFETTI',
   SET_DOC_ID: 'SET_DOC_ID',
   
   // Upload actions  
-  SET_UPLOAD_IN_PROGRESS: 'SET_UPLOAD_IN_PROGRESS',
   SET_UPLOAD_FRACTION: 'SET_UPLOAD_FRACTION',
+  SET_QUEUED_UPLOAD_IDS: 'SET_QUEUED_UPLOAD_IDS',
+  SET_UPLOAD_ERROR: 'SET_UPLOAD_ERROR',
   
   // Media player actions
   SET_IS_PLAYING: 'SET_IS_PLAYING',
@@ -29,14 +31,15 @@ export const APP_ACTIONS = {
 // Initial state - matches the existing useState defaults exactly
 export const initialAppState = {
   // Navigation states (from App.js lines 62-65)
-  submitStage: false,
   showStartOverConfirm: false,
-  showConfetti: false,
   docId: null,
   
   // Upload states (from App.js lines 67-68)
-  uploadInProgress: false,
   uploadFraction: 0,
+  // Offline-queue item IDs of takes saved for later. Not recording
+  // IDs: those only exist once the queue has uploaded them
+  queuedUploadIds: [],
+  uploadError: null, // Structured error from the last failed upload
   
   // Media player states (from App.js lines 72-74)
   isPlaying: false,
@@ -47,24 +50,21 @@ export const initialAppState = {
 // Reducer function
 export const appReducer = (state, action) => {
   switch (action.type) {
-    case APP_ACTIONS.SET_SUBMIT_STAGE:
-      return { ...state, submitStage: action.payload };
-      
     case APP_ACTIONS.SET_SHOW_START_OVER_CONFIRM:
       return { ...state, showStartOverConfirm: action.payload };
       
-    case APP_ACTIONS.SET_SHOW_CONFETTI:
-      return { ...state, showConfetti: action.payload };
-      
     case APP_ACTIONS.SET_DOC_ID:
       return { ...state, docId: action.payload };
       
-    case APP_ACTIONS.SET_UPLOAD_IN_PROGRESS:
-      return { ...state, uploadInProgress: action.payload };
-      
     case APP_ACTIONS.SET_UPLOAD_FRACTION:
       return { ...state, uploadFraction: action.payload };
       
+    case APP_ACTIONS.SET_QUEUED_UPLOAD_IDS:
+      return { ...state, queuedUploadIds: action.payload };
+      
+    case APP_ACTIONS.SET_UPLOAD_ERROR:
+      return { ...state, uploadError: action.payload };
+      
     case APP_ACTIONS.SET_IS_PLAYING:
       return { ...state, isPlaying: action.payload };
       
@@ -0,0 +1,184 @@
+/**
+ * recordingMachine.js
+ * -------------------
+ * Finite state machine for the recording flow, from choosing a
+ * mode to the finished upload:
+ *
+ *   idle → acquiring → ready → countdown → recording ⇄ paused
+ *        → stopping → review → uploading → done | error
+ *
+ * (paused resumes through another countdown; a recorder that stops
+ * or fails by itself mid-take still hands its take to review; a
+ * camera/microphone failure leads to mediaError, which retries or
+ * goes back; a take recovered after a crash goes straight from idle
+ * to review).
+ * Review can go back to acquiring to record another take, and
+ * ready/mediaError can return to review without one. The flow is in
+ * exactly one state at a time, so combinations such as "paused
+ * while uploading" cannot be represented. Events that are not
+ * allowed in the current state are ignored and leave the state
+ * object untouched, which makes every transition a pure,
+ * table-driven function of (state, event).
+ *
+ * State shape: { status, captureMode, mediaError }
+ * Event shape: { type, captureMode?, error? }
+ */
+
+export const RECORDING_STATES = {
+  IDLE: 'idle',           // Choosing audio or video
+  ACQUIRING: 'acquiring', // Waiting for camera/microphone permission
+  MEDIA_ERROR: 'mediaError', // Camera/microphone unavailable; see mediaError
+  READY: 'ready',         // Stream live, not recording yet
+  COUNTDOWN: 'countdown', // Counting down to start or resume
+  RECORDING: 'recording',
+  PAUSED: 'paused',
+  STOPPING: 'stopping',   // Recorder finishing the take
+  REVIEW: 'review',       // Take ready to play back and submit
+  UPLOADING: 'uploading',
+  DONE: 'done',           // Uploaded, linked to a saved copy, or queued
+  ERROR: 'error'          // Upload failed; retry, save for later or start over
+};
+
+export const RECORDING_EVENTS = {
+  REQUEST_MEDIA: 'REQUEST_MEDIA',       // { captureMode }
+  MEDIA_READY: 'MEDIA_READY',
+  MEDIA_FAILED: 'MEDIA_FAILED',       // { error } (structured, with a MEDIA_ERRORS reason)
+  START: 'START',
+  RESUME: 'RESUME',
+  COUNTDOWN_DONE: 'COUNTDOWN_DONE',
+  RECORDER_FAILED: 'RECORDER_FAILED',
+  PAUSE: 'PAUSE',
+  STOP: 'STOP',
+  RECORDER_STOPPED: 'RECORDER_STOPPED',
+  UPLOAD: 'UPLOAD',
+  UPLOAD_SUCCEEDED: 'UPLOAD_SUCCEEDED',
+  UPLOAD_QUEUED: 'UPLOAD_QUEUED',
+  UPLOAD_FAILED: 'UPLOAD_FAILED',
+  UPLOAD_CANCELLED: 'UPLOAD_CANCELLED',
+  START_OVER: 'START_OVER',
+  RECOVER_SESSION: 'RECOVER_SESSION',   // { captureMode } take from an unfinished session
+  RETURN_TO_REVIEW: 'RETURN_TO_REVIEW'  // Back to the takes without recording another
+};
+
+const S = RECORDING_STATES;
+const E = RECORDING_EVENTS;
+
+// status => { event type => next status }
+export const RECORDING_TRANSITIONS = {
+  [S.IDLE]: {
+    [E.REQUEST_MEDIA]: S.ACQUIRING,
+    [E.RECOVER_SESSION]: S.REVIEW
+  },
+  [S.ACQUIRING]: {
+    [E.MEDIA_READY]: S.READY,
+    [E.MEDIA_FAILED]: S.MEDIA_ERROR
+  },
+  [S.MEDIA_ERROR]: {
+    [E.REQUEST_MEDIA]: S.ACQUIRING, // Retry, or try the other mode
+    [E.RETURN_TO_REVIEW]: S.REVIEW,
+    [E.START_OVER]: S.IDLE
+  },
+  [S.READY]: {
+    [E.START]: S.COUNTDOWN,
+    [E.MEDIA_FAILED]: S.MEDIA_ERROR, // Device lost while switching
+    [E.RETURN_TO_REVIEW]: S.REVIEW,
+    [E.START_OVER]: S.IDLE
+  },
+  [S.COUNTDOWN]: {
+    [E.COUNTDOWN_DONE]: S.RECORDING,
+    [E.RECORDER_FAILED]: S.READY
+  },
+  [S.RECORDING]: {
+    [E.PAUSE]: S.PAUSED,
+    [E.STOP]: S.STOPPING,
+    [E.RECORDER_STOPPED]: S.REVIEW, // Stopped by itself (device unplugged, track ended)
+    [E.RECORDER_FAILED]: S.STOPPING // Recorder error; its stop event follows
+  },
+  [S.PAUSED]: {
+    [E.RESUME]: S.COUNTDOWN,
+    [E.STOP]: S.STOPPING,
+    [E.RECORDER_STOPPED]: S.REVIEW,
+    [E.RECORDER_FAILED]: S.STOPPING
+  },
+  [S.STOPPING]: {
+    [E.RECORDER_STOPPED]: S.REVIEW
+  },
+  [S.REVIEW]: {
+    [E.REQUEST_MEDIA]: S.ACQUIRING, // Record another take
+    [E.RECOVER_SESSION]: S.REVIEW,  // Further unfinished takes
+    [E.UPLOAD]: S.UPLOADING,
+    [E.UPLOAD_SUCCEEDED]: S.DONE, // Linked to an identical saved recording
+    [E.UPLOAD_QUEUED]: S.DONE,    // Offline: straight to the queue
+    [E.UPLOAD_FAILED]: S.ERROR,
+    [E.START_OVER]: S.IDLE
+  },
+  [S.UPLOADING]: {
+    [E.UPLOAD_SUCCEEDED]: S.DONE,
+    [E.UPLOAD_QUEUED]: S.DONE,
+    [E.UPLOAD_FAILED]: S.ERROR,
+    [E.UPLOAD_CANCELLED]: S.REVIEW
+  },
+  [S.ERROR]: {
+    [E.UPLOAD]: S.UPLOADING,
+    [E.UPLOAD_SUCCEEDED]: S.DONE, // Retry linked to a saved copy
+    [E.UPLOAD_QUEUED]: S.DONE,
+    [E.UPLOAD_FAILED]: S.ERROR,
+    [E.START_OVER]: S.IDLE
+  },
+  [S.DONE]: {
+    [E.START_OVER]: S.IDLE
+  }
+};
+
+export const initialRecordingState = {
+  status: S.IDLE,
+  captureMode: null, // 'audio' | 'video' once chosen
+  mediaError: null // Why the last camera/microphone request failed
+};
+
+/**
+ * Whether an event is allowed in a status.
+ * @param {string} status RECORDING_STATES value
+ * @param {string} eventType RECORDING_EVENTS value
+ * @returns {boolean}
+ */
+export function canTransition(status, eventType) {
+  return Boolean(RECORDING_TRANSITIONS[status]?.[eventType]);
+}
+
+/**
+ * Reducer for useReducer: apply one event.
+ * @param {Object} state Current machine state
+ * @param {Object} event { type, captureMode? }
+ * @returns {Object} Next state (the same object when the event is not allowed)
+ */
+export function recordingMachineReducer(state, event) {
+  const nextStatus = RECORDING_TRANSITIONS[state.status]?.[event.type];
+  if (!nextStatus) {
+    if (process.env.NODE_ENV !== 'production') {
+      console.warn(`Recording flow: ignored ${event.type} while ${state.status}`);
+    }
+    return state;
+  }
+
+  switch (event.type) {
+    case E.REQUEST_MEDIA:
+    case E.RECOVER_SESSION:
+      return { status: nextStatus, captureMode: event.captureMode, mediaError: null };
+    case E.MEDIA_FAILED:
+      return { ...state, status: nextStatus, mediaError: event.error };
+    case E.START_OVER:
+      return { ...initialRecordingState };
+    default:
+      return { ...state, status: nextStatus };
+  }
+}
+
+// Derived flags for the UI
+
+/** Recording or paused: a take is in progress. */
+export const isCapturing = (status) => status === S.RECORDING || status === S.PAUSED;
+
+/** Past recording, before the flow finishes: the review screen. */
+export const isSubmitStage = (status) =>
+  status === S.STOPPING || status === S.REVIEW || status === S.UPLOADING || status === S.ERROR;
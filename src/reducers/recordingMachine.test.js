@@ -0,0 +1,238 @@
+import {
+  RECORDING_STATES,
+  RECORDING_EVENTS,
+  RECORDING_TRANSITIONS,
+  initialRecordingState,
+  canTransition,
+  recordingMachineReducer,
+  isCapturing,
+  isSubmitStage
+} from './recordingMachine';
+
+const S = RECORDING_STATES;
+const E = RECORDING_EVENTS;
+
+const ALL_STATES = Object.values(S);
+const ALL_EVENTS = Object.values(E);
+
+const mediaError = { reason: 'denied', message: 'Permission denied' };
+const stateIn = (status) => ({ status, captureMode: 'video', mediaError: null });
+
+// Every allowed transition, written out by hand: [status, event, next status].
+// Kept independent of RECORDING_TRANSITIONS so a wrong entry there fails.
+const EXPECTED_TRANSITIONS = [
+  [S.IDLE, E.REQUEST_MEDIA, S.ACQUIRING],
+  [S.IDLE, E.RECOVER_SESSION, S.REVIEW],
+  [S.ACQUIRING, E.MEDIA_READY, S.READY],
+  [S.ACQUIRING, E.MEDIA_FAILED, S.MEDIA_ERROR],
+  [S.MEDIA_ERROR, E.REQUEST_MEDIA, S.ACQUIRING],
+  [S.MEDIA_ERROR, E.RETURN_TO_REVIEW, S.REVIEW],
+  [S.MEDIA_ERROR, E.START_OVER, S.IDLE],
+  [S.READY, E.START, S.COUNTDOWN],
+  [S.READY, E.MEDIA_FAILED, S.MEDIA_ERROR],
+  [S.READY, E.RETURN_TO_REVIEW, S.REVIEW],
+  [S.READY, E.START_OVER, S.IDLE],
+  [S.COUNTDOWN, E.COUNTDOWN_DONE, S.RECORDING],
+  [S.COUNTDOWN, E.RECORDER_FAILED, S.READY],
+  [S.RECORDING, E.PAUSE, S.PAUSED],
+  [S.RECORDING, E.STOP, S.STOPPING],
+  [S.RECORDING, E.RECORDER_STOPPED, S.REVIEW],
+  [S.RECORDING, E.RECORDER_FAILED, S.STOPPING],
+  [S.PAUSED, E.RESUME, S.COUNTDOWN],
+  [S.PAUSED, E.STOP, S.STOPPING],
+  [S.PAUSED, E.RECORDER_STOPPED, S.REVIEW],
+  [S.PAUSED, E.RECORDER_FAILED, S.STOPPING],
+  [S.STOPPING, E.RECORDER_STOPPED, S.REVIEW],
+  [S.REVIEW, E.REQUEST_MEDIA, S.ACQUIRING],
+  [S.REVIEW, E.RECOVER_SESSION, S.REVIEW],
+  [S.REVIEW, E.UPLOAD, S.UPLOADING],
+  [S.REVIEW, E.UPLOAD_SUCCEEDED, S.DONE],
+  [S.REVIEW, E.UPLOAD_QUEUED, S.DONE],
+  [S.REVIEW, E.UPLOAD_FAILED, S.ERROR],
+  [S.REVIEW, E.START_OVER, S.IDLE],
+  [S.UPLOADING, E.UPLOAD_SUCCEEDED, S.DONE],
+  [S.UPLOADING, E.UPLOAD_QUEUED, S.DONE],
+  [S.UPLOADING, E.UPLOAD_FAILED, S.ERROR],
+  [S.UPLOADING, E.UPLOAD_CANCELLED, S.REVIEW],
+  [S.ERROR, E.UPLOAD, S.UPLOADING],
+  [S.ERROR, E.UPLOAD_SUCCEEDED, S.DONE],
+  [S.ERROR, E.UPLOAD_QUEUED, S.DONE],
+  [S.ERROR, E.UPLOAD_FAILED, S.ERROR],
+  [S.ERROR, E.START_OVER, S.IDLE],
+  [S.DONE, E.START_OVER, S.IDLE]
+];
+
+// Combinations the flow must never allow, called out explicitly
+const FORBIDDEN = [
+  [S.IDLE, E.START],
+  [S.IDLE, E.UPLOAD],
+  [S.ACQUIRING, E.START],
+  [S.ACQUIRING, E.START_OVER],
+  [S.READY, E.UPLOAD],
+  [S.COUNTDOWN, E.PAUSE],
+  [S.COUNTDOWN, E.START_OVER],
+  [S.RECORDING, E.UPLOAD],
+  [S.RECORDING, E.START_OVER],
+  [S.RECORDING, E.START],
+  [S.PAUSED, E.PAUSE],
+  [S.PAUSED, E.UPLOAD],
+  [S.STOPPING, E.START_OVER],
+  [S.STOPPING, E.UPLOAD],
+  [S.REVIEW, E.PAUSE],
+  [S.REVIEW, E.START],
+  [S.UPLOADING, E.PAUSE],
+  [S.UPLOADING, E.START_OVER],
+  [S.UPLOADING, E.UPLOAD],
+  [S.UPLOADING, E.REQUEST_MEDIA],
+  [S.DONE, E.UPLOAD],
+  [S.DONE, E.REQUEST_MEDIA],
+  [S.ERROR, E.PAUSE],
+  [S.MEDIA_ERROR, E.START]
+];
+
+// Every other (state, event) pair must be ignored too
+const isExpected = (status, type) =>
+  EXPECTED_TRANSITIONS.some(([from, event]) => from === status && event === type);
+const pairs = ALL_STATES.flatMap((status) => ALL_EVENTS.map((type) => [status, type]));
+const ignored = pairs.filter(([status, type]) => !isExpected(status, type));
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+describe('RECORDING_TRANSITIONS', () => {
+  it('has an entry for every state', () => {
+    expect(Object.keys(RECORDING_TRANSITIONS).sort()).toEqual([...ALL_STATES].sort());
+  });
+
+  it('reaches every state from idle', () => {
+    const reached = new Set([S.IDLE]);
+    const pending = [S.IDLE];
+    while (pending.length > 0) {
+      Object.values(RECORDING_TRANSITIONS[pending.pop()]).forEach((next) => {
+        if (!reached.has(next)) {
+          reached.add(next);
+          pending.push(next);
+        }
+      });
+    }
+    expect([...reached].sort()).toEqual([...ALL_STATES].sort());
+  });
+
+  it('lists no forbidden pair as expected', () => {
+    FORBIDDEN.forEach(([status, type]) => {
+      expect(isExpected(status, type)).toBe(false);
+    });
+  });
+});
+
+describe('recordingMachineReducer', () => {
+  it.each(EXPECTED_TRANSITIONS)('%s + %s => %s', (status, type, next) => {
+    const state = stateIn(status);
+    const result = recordingMachineReducer(state, { type, captureMode: 'audio', error: mediaError });
+    expect(result).not.toBe(state);
+    expect(result.status).toBe(next);
+  });
+
+  it.each(FORBIDDEN)('%s forbids %s', (status, type) => {
+    const state = stateIn(status);
+    expect(recordingMachineReducer(state, { type, captureMode: 'audio', error: mediaError })).toBe(state);
+  });
+
+  it.each(ignored)('%s ignores %s and returns the same state object', (status, type) => {
+    const state = stateIn(status);
+    expect(recordingMachineReducer(state, { type, captureMode: 'audio', error: mediaError })).toBe(state);
+  });
+
+  it('resets to the initial state on START_OVER', () => {
+    EXPECTED_TRANSITIONS
+      .filter(([, type]) => type === E.START_OVER)
+      .forEach(([status]) => {
+        const state = { status, captureMode: 'video', mediaError };
+        const next = recordingMachineReducer(state, { type: E.START_OVER });
+        expect(next).toEqual(initialRecordingState);
+        expect(next).not.toBe(initialRecordingState);
+      });
+  });
+
+  it('carries the error on MEDIA_FAILED and keeps the capture mode', () => {
+    EXPECTED_TRANSITIONS
+      .filter(([, type]) => type === E.MEDIA_FAILED)
+      .forEach(([status]) => {
+        const next = recordingMachineReducer(stateIn(status), { type: E.MEDIA_FAILED, error: mediaError });
+        expect(next).toEqual({ status: S.MEDIA_ERROR, captureMode: 'video', mediaError });
+      });
+  });
+
+  it('sets the capture mode and clears the error when media is requested', () => {
+    const state = { status: S.MEDIA_ERROR, captureMode: 'video', mediaError };
+    const next = recordingMachineReducer(state, { type: E.REQUEST_MEDIA, captureMode: 'audio' });
+    expect(next).toEqual({ status: S.ACQUIRING, captureMode: 'audio', mediaError: null });
+  });
+
+  it('takes the capture mode of a recovered session', () => {
+    const next = recordingMachineReducer(initialRecordingState, { type: E.RECOVER_SESSION, captureMode: 'audio' });
+    expect(next).toEqual({ status: S.REVIEW, captureMode: 'audio', mediaError: null });
+  });
+
+  it('walks a full take from idle to done', () => {
+    const events = [
+      { type: E.REQUEST_MEDIA, captureMode: 'video' },
+      { type: E.MEDIA_READY },
+      { type: E.START },
+      { type: E.COUNTDOWN_DONE },
+      { type: E.PAUSE },
+      { type: E.RESUME },
+      { type: E.COUNTDOWN_DONE },
+      { type: E.STOP },
+      { type: E.RECORDER_STOPPED },
+      { type: E.UPLOAD },
+      { type: E.UPLOAD_SUCCEEDED }
+    ];
+    const final = events.reduce(recordingMachineReducer, initialRecordingState);
+    expect(final).toEqual({ status: S.DONE, captureMode: 'video', mediaError: null });
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('takes a recording to review when the recorder stops by itself', () => {
+    const paused = recordingMachineReducer(stateIn(S.RECORDING), { type: E.PAUSE });
+    expect(recordingMachineReducer(paused, { type: E.RECORDER_STOPPED }).status).toBe(S.REVIEW);
+
+    const failed = recordingMachineReducer(stateIn(S.RECORDING), { type: E.RECORDER_FAILED });
+    expect(failed.status).toBe(S.STOPPING);
+    expect(recordingMachineReducer(failed, { type: E.RECORDER_STOPPED }).status).toBe(S.REVIEW);
+  });
+});
+
+describe('canTransition', () => {
+  it.each(pairs)('agrees with the reducer for %s + %s', (status, type) => {
+    const state = stateIn(status);
+    const changed = recordingMachineReducer(state, { type, error: mediaError }) !== state;
+    expect(canTransition(status, type)).toBe(changed);
+    expect(canTransition(status, type)).toBe(isExpected(status, type));
+  });
+
+  it('rejects unknown states and events', () => {
+    expect(canTransition('nope', E.START)).toBe(false);
+    expect(canTransition(S.IDLE, 'NOPE')).toBe(false);
+  });
+});
+
+describe('derived flags', () => {
+  it('isCapturing is true only while recording or paused', () => {
+    ALL_STATES.forEach((status) => {
+      expect(isCapturing(status)).toBe(status === S.RECORDING || status === S.PAUSED);
+    });
+  });
+
+  it('isSubmitStage covers stopping through a failed upload', () => {
+    const submit = [S.STOPPING, S.REVIEW, S.UPLOADING, S.ERROR];
+    ALL_STATES.forEach((status) => {
+      expect(isSubmitStage(status)).toBe(submit.includes(status));
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * blobRegistry.js
+ * ---------------
+ * Owns the Blobs of recorded takes and the object URLs made for
+ * them. Every object URL pins its Blob in memory until it is
+ * revoked, so takes are registered here once and released when
+ * they are uploaded, queued, discarded or their page unmounts.
+ * Code that needs the bytes asks for the Blob by take ID instead
+ * of fetching the object URL back.
+ */
+
+// Take ID => { blob, url }
+const entries = new Map();
+let sequence = 0;
+
+/**
+ * Take ownership of a Blob and create its object URL.
+ * @param {Blob} blob
+ * @returns {{ id: string, url: string }}
+ */
+export function registerBlob(blob) {
+  sequence += 1;
+  const id = `take_${Date.now()}_${sequence}`;
+  const url = URL.createObjectURL(blob);
+  entries.set(id, { blob, url });
+  console.log('🎞️ Take registered:', id, blob.size, 'bytes;', entries.size, 'held');
+  return { id, url };
+}
+
+/**
+ * @param {string} id Take ID
+ * @returns {Blob|null}
+ */
+export function getBlob(id) {
+  return entries.get(id)?.blob ?? null;
+}
+
+/**
+ * @param {string} id Take ID
+ * @returns {string|null} The take's object URL
+ */
+export function getBlobUrl(id) {
+  return entries.get(id)?.url ?? null;
+}
+
+/**
+ * Revoke a take's object URL and drop the registry's reference.
+ * Safe to call more than once.
+ * @param {string} id Take ID
+ * @returns {boolean} Whether the take was registered
+ */
+export function releaseBlob(id) {
+  const entry = entries.get(id);
+  if (!entry) {
+    return false;
+  }
+  URL.revokeObjectURL(entry.url);
+  entries.delete(id);
+  console.log('♻️ Take released:', id);
+  return true;
+}
+
+/**
+ * Release every registered take.
+ */
+export function releaseAllBlobs() {
+  [...entries.keys()].forEach(releaseBlob);
+}
+
+/**
+ * What the registry is holding, for diagnostics.
+ * @returns {{ count: number, totalBytes: number }}
+ */
+export function getBlobRegistryStats() {
+  let totalBytes = 0;
+  entries.forEach(({ blob }) => {
+    totalBytes += blob.size;
+  });
+  return { count: entries.size, totalBytes };
+}
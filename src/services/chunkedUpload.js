@@ -0,0 +1,274 @@
+/**
+ * chunkedUpload.js
+ * ----------------
+ * Resumable chunked upload client for the HTTP backend.
+ * Modelled on the tus protocol: the server tracks a byte offset
+ * per upload, the client sends fixed-size chunks at that offset
+ * with a SHA-256 checksum, and an interrupted upload continues
+ * from the last confirmed offset - including after a reload,
+ * because the upload ID is persisted in localStorage.
+ *
+ * Protocol (paths relative to API_BASE_URL):
+ *
+ *   POST  /uploads        JSON { fileName, fileType, mimeType, length }
+ *         => 201 { uploadId, offset }
+ *   HEAD  /uploads/:id    => 200, headers Upload-Offset, Upload-Length | 404
+ *   PATCH /uploads/:id    body = raw chunk bytes
+ *         Content-Type:    application/offset+octet-stream
+ *         Upload-Offset:   offset the chunk starts at
+ *         Upload-Checksum: sha256 <base64 digest of the chunk>
+ *         => 204 + Upload-Offset             (more chunks expected)
+ *         => 200 + recording JSON            (final chunk, upload complete)
+ *         => 409 + Upload-Offset             (offset mismatch, resync)
+ *         => 460                             (checksum mismatch, resend)
+ */
+
+import { createError, safeParseJSON, UPLOAD_ERRORS } from '../utils/errors';
+import { SERVICE_CONFIG } from '../config';
+import { apiUrl, request, requestJson } from './httpClient';
+import { hashBlob } from './contentHash';
+
+const RESUMABLE = SERVICE_CONFIG.HTTP.RESUMABLE;
+
+// Non-standard status used by tus for checksum mismatches
+const CHECKSUM_MISMATCH_STATUS = 460;
+
+// Wait between retries; rejects with CANCELLED if the signal aborts first.
+// The abort listener is removed once the wait is over, so a long-lived
+// signal doesn't collect one per retry.
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const handleAbort = () => {
+    clearTimeout(timerId);
+    reject(createError(UPLOAD_ERRORS.CANCELLED));
+  };
+  const timerId = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+// ----------------------------------------------------------
+// Persisted resume state
+// ----------------------------------------------------------
+
+// Resume state is keyed by the SHA-256 of the media, so only the same
+// bytes pick up a partial upload - whatever the take is called now.
+// Null where hashing is unavailable: such uploads are not resumable.
+async function resumeKey(blob, contentHash) {
+  if (contentHash) {
+    return contentHash;
+  }
+  try {
+    return await hashBlob(blob);
+  } catch (error) {
+    console.warn('Upload will not be resumable:', error);
+    return null;
+  }
+}
+
+function readResumeState() {
+  const state = safeParseJSON(localStorage.getItem(RESUMABLE.STATE_KEY), {});
+  const now = Date.now();
+
+  // Drop stale entries so abandoned uploads don't accumulate
+  Object.keys(state).forEach((key) => {
+    if (!state[key]?.uploadId || now - (state[key].startedAt || 0) > RESUMABLE.STATE_MAX_AGE_MS) {
+      delete state[key];
+    }
+  });
+  return state;
+}
+
+function writeResumeState(state) {
+  try {
+    localStorage.setItem(RESUMABLE.STATE_KEY, JSON.stringify(state));
+  } catch (error) {
+    // Resuming is best-effort; the upload itself can still proceed
+    console.warn('Could not persist upload resume state:', error);
+  }
+}
+
+function rememberUpload(key, entry) {
+  if (!key) {
+    return;
+  }
+  const state = readResumeState();
+  state[key] = entry;
+  writeResumeState(state);
+}
+
+function forgetUpload(key) {
+  if (!key) {
+    return;
+  }
+  const state = readResumeState();
+  delete state[key];
+  writeResumeState(state);
+}
+
+// ----------------------------------------------------------
+// Protocol helpers
+// ----------------------------------------------------------
+
+function uploadUrl(uploadId) {
+  return apiUrl(RESUMABLE.UPLOADS_PATH, uploadId);
+}
+
+// Base64 SHA-256 of a chunk, or null where WebCrypto is unavailable
+// (insecure contexts); the server skips verification without it.
+async function chunkChecksum(chunk) {
+  if (!window.crypto?.subtle) {
+    return null;
+  }
+  const digest = await window.crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+  let binary = '';
+  new Uint8Array(digest).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+// Ask the server where an existing upload stands; null if it is gone
+async function fetchOffset(uploadId, signal) {
+  try {
+    const response = await request(uploadUrl(uploadId), { method: 'HEAD', signal });
+    return Number(response.headers.get('Upload-Offset'));
+  } catch (error) {
+    if (error.status === 404 || error.status === 410) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function createUpload({ blob, fileName, fileType, mimeType }, signal) {
+  const created = await requestJson('POST', apiUrl(RESUMABLE.UPLOADS_PATH), {
+    fileName,
+    fileType,
+    mimeType,
+    length: blob.size
+  }, signal);
+  return { uploadId: created.uploadId, offset: created.offset || 0 };
+}
+
+// Time allowed for one PATCH, scaled to the chunk so slow uplinks don't time out
+function chunkTimeout(chunk) {
+  const transferMs = (chunk.size / RESUMABLE.MIN_THROUGHPUT_BYTES_PER_SEC) * 1000;
+  return SERVICE_CONFIG.HTTP.REQUEST_TIMEOUT_MS + Math.ceil(transferMs);
+}
+
+// Send one chunk; resolves with { offset, recording } from the server
+async function sendChunk(uploadId, chunk, offset, signal) {
+  const headers = {
+    'Content-Type': 'application/offset+octet-stream',
+    'Upload-Offset': String(offset)
+  };
+  const checksum = await chunkChecksum(chunk);
+  if (checksum) {
+    headers['Upload-Checksum'] = `sha256 ${checksum}`;
+  }
+
+  const response = await request(uploadUrl(uploadId), {
+    method: 'PATCH',
+    headers,
+    body: chunk,
+    signal,
+    timeoutMs: chunkTimeout(chunk)
+  });
+
+  const recording = response.status === 200 ? await response.json() : null;
+  return {
+    offset: Number(response.headers.get('Upload-Offset')),
+    recording
+  };
+}
+
+/**
+ * Upload a Blob with the resumable chunked protocol.
+ * Progress is reported from server-confirmed offsets only.
+ *
+ * @param {Object} params
+ * @param {Blob} params.blob The recording
+ * @param {string} params.fileName File name
+ * @param {string} params.fileType 'audio' or 'video'
+ * @param {string} params.mimeType Actual mime type
+ * @param {string} [params.contentHash] SHA-256 (hex) of the blob, if already known
+ * @param {function} [params.onProgress] Progress callback (fraction 0..1)
+ * @param {AbortSignal} [params.signal] Cancels the upload; resume state is kept
+ * @returns {Promise<Object>} The recording created by the server
+ */
+export async function resumableUpload({ blob, fileName, fileType, mimeType, contentHash, onProgress, signal }) {
+  const key = await resumeKey(blob, contentHash);
+  const reportProgress = (offset) => {
+    if (onProgress && blob.size > 0) {
+      onProgress(Math.min(offset / blob.size, 1));
+    }
+  };
+
+  // Resume a previous attempt if the server still has it
+  let uploadId = (key && readResumeState()[key]?.uploadId) || null;
+  let offset = uploadId ? await fetchOffset(uploadId, signal) : null;
+
+  if (offset === null) {
+    ({ uploadId, offset } = await createUpload({ blob, fileName, fileType, mimeType }, signal));
+    rememberUpload(key, { uploadId, startedAt: Date.now() });
+  } else {
+    console.log(`↩️ Resuming upload ${uploadId} at byte ${offset} of ${blob.size}`);
+  }
+  reportProgress(offset);
+
+  let retries = 0;
+  for (;;) {
+    const chunk = blob.slice(offset, offset + RESUMABLE.CHUNK_SIZE_BYTES);
+
+    try {
+      const result = await sendChunk(uploadId, chunk, offset, signal);
+      retries = 0;
+      offset = result.offset;
+      reportProgress(offset);
+
+      if (result.recording) {
+        forgetUpload(key);
+        return result.recording;
+      }
+      if (offset >= blob.size) {
+        throw createError(UPLOAD_ERRORS.UNKNOWN, 'Upload finished without a recording from the server');
+      }
+    } catch (error) {
+      if (error.type === UPLOAD_ERRORS.CANCELLED) {
+        throw error;
+      }
+
+      // The upload vanished server-side: nothing left to resume
+      if (error.status === 404 || error.status === 410) {
+        forgetUpload(key);
+        throw error;
+      }
+
+      const retryable = error.status === 409
+        || error.status === CHECKSUM_MISMATCH_STATUS
+        || error.type === UPLOAD_ERRORS.NETWORK_ERROR
+        || error.type === UPLOAD_ERRORS.TIMEOUT
+        || error.status >= 500;
+
+      retries += 1;
+      if (!retryable || retries > RESUMABLE.MAX_CHUNK_RETRIES) {
+        // Keep the resume state: a later attempt continues from here
+        throw error;
+      }
+
+      console.warn(`Chunk at byte ${offset} failed (attempt ${retries}), retrying:`, error.message);
+      await delay(RESUMABLE.RETRY_DELAY_MS * retries, signal);
+
+      // Resync with the server's view of the offset before resending
+      const serverOffset = await fetchOffset(uploadId, signal);
+      if (serverOffset === null) {
+        forgetUpload(key);
+        throw createError(UPLOAD_ERRORS.UNKNOWN, 'Upload expired on the server');
+      }
+      offset = serverOffset;
+      reportProgress(offset);
+    }
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * contentHash.js
+ * --------------
+ * SHA-256 fingerprints of recording media. Stored on each
+ * recording as `contentHash` (lowercase hex) so the same take
+ * can be recognised at upload and import time regardless of
+ * its ID or file name.
+ */
+
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+
+/**
+ * SHA-256 of a Blob as lowercase hex.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function hashBlob(blob) {
+  if (!crypto?.subtle) {
+    throw createError(UPLOAD_ERRORS.NOT_SUPPORTED, 'Content hashing needs a secure (https) context');
+  }
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
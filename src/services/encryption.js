@@ -0,0 +1,347 @@
+/**
+ * encryption.js
+ * -------------
+ * Optional passphrase-based encryption at rest (WebCrypto).
+ *
+ * Key hierarchy:
+ *   passphrase --PBKDF2--> AES-GCM wrapping key
+ *     wraps an RSA-OAEP private key (stored wrapped in localStorage)
+ *     wraps an HMAC key for content hash tags (likewise)
+ *   RSA-OAEP public key (stored in the clear)
+ *     wraps a random AES-GCM key per recording
+ *   per-recording key encrypts that recording's metadata and media
+ *
+ * The public key lets new recordings be encrypted without the
+ * passphrase, so the recording flow never needs to unlock;
+ * reading requires unlock(), which keeps the private key in
+ * memory for the lifetime of the page. Encryption is on once
+ * setupEncryption() has stored a key pair. It covers the local
+ * backend's recordings; the offline upload queue holds takes
+ * only until they reach the server and is not encrypted.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+
+const ENCRYPTION_CONFIG = SERVICE_CONFIG.ENCRYPTION;
+// Version 2 added wrappedHashKey; version 1 records gain it on unlock
+const KEY_RECORD_VERSION = 2;
+
+const RSA_PARAMS = {
+  name: 'RSA-OAEP',
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256'
+};
+
+const HASH_KEY_PARAMS = { name: 'HMAC', hash: 'SHA-256', length: 256 };
+
+let privateKey = null;
+let hashKey = null; // HMAC key for contentHashTag, only held while unlocked
+const listeners = new Set();
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+const randomIv = () => crypto.getRandomValues(new Uint8Array(12));
+
+function readKeyRecord() {
+  try {
+    const stored = localStorage.getItem(ENCRYPTION_CONFIG.KEYS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Could not read encryption keys:', error);
+    return null;
+  }
+}
+
+function notifyListeners() {
+  const state = getEncryptionState();
+  listeners.forEach((listener) => listener(state));
+}
+
+// AES-GCM key derived from the passphrase, used to wrap the private key
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+// New random HMAC key for contentHashTag, and its passphrase-wrapped form
+async function createHashKey(wrappingKey) {
+  const key = await crypto.subtle.generateKey(HASH_KEY_PARAMS, true, ['sign']);
+  const iv = randomIv();
+  const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+  return { key, wrappedHashKey: { iv: toBase64(iv), data: toBase64(wrapped) } };
+}
+
+// Unwrap the key record's HMAC key, adding one to a version 1 record
+async function openHashKey(record, wrappingKey) {
+  if (record.wrappedHashKey) {
+    return crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(record.wrappedHashKey.data),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(record.wrappedHashKey.iv) },
+      HASH_KEY_PARAMS,
+      false,
+      ['sign']
+    );
+  }
+  const { key, wrappedHashKey } = await createHashKey(wrappingKey);
+  localStorage.setItem(ENCRYPTION_CONFIG.KEYS_STORAGE_KEY, JSON.stringify({
+    ...record,
+    version: KEY_RECORD_VERSION,
+    wrappedHashKey
+  }));
+  return key;
+}
+
+/**
+ * @returns {boolean} Whether stored recordings are being encrypted
+ */
+export function isEncryptionEnabled() {
+  return readKeyRecord() !== null;
+}
+
+/**
+ * @returns {{ enabled: boolean, unlocked: boolean }}
+ */
+export function getEncryptionState() {
+  const enabled = isEncryptionEnabled();
+  return { enabled, unlocked: !enabled || privateKey !== null };
+}
+
+/**
+ * Listen for enable/unlock/lock changes.
+ * @param {function} listener Called with getEncryptionState()
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToEncryptionState(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Turn encryption on with a new passphrase. Leaves the page unlocked.
+ * Existing plaintext data is not touched here; see
+ * localRecordingService.encryptStoredRecordings.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ */
+export async function setupEncryption(passphrase) {
+  if (isEncryptionEnabled()) {
+    throw createError(UPLOAD_ERRORS.NOT_SUPPORTED, 'Encryption is already set up');
+  }
+  if (!passphrase || passphrase.length < ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH) {
+    throw createError(
+      UPLOAD_ERRORS.INVALID_FILE,
+      `The passphrase must be at least ${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH} characters`
+    );
+  }
+
+  const keyPair = await crypto.subtle.generateKey(RSA_PARAMS, true, ['wrapKey', 'unwrapKey']);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iterations = ENCRYPTION_CONFIG.PBKDF2_ITERATIONS;
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, iterations);
+  const iv = randomIv();
+  const wrappedPrivateKey = await crypto.subtle.wrapKey(
+    'pkcs8', keyPair.privateKey, wrappingKey, { name: 'AES-GCM', iv }
+  );
+  const { key: newHashKey, wrappedHashKey } = await createHashKey(wrappingKey);
+
+  localStorage.setItem(ENCRYPTION_CONFIG.KEYS_STORAGE_KEY, JSON.stringify({
+    version: KEY_RECORD_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    wrappedPrivateKey: { iv: toBase64(iv), data: toBase64(wrappedPrivateKey) },
+    wrappedHashKey
+  }));
+
+  // Keep a non-extractable copy in memory so this page stays unlocked
+  privateKey = await crypto.subtle.unwrapKey(
+    'pkcs8', wrappedPrivateKey, wrappingKey, { name: 'AES-GCM', iv },
+    RSA_PARAMS, false, ['unwrapKey']
+  );
+  hashKey = newHashKey;
+  console.log('🔐 Encryption at rest enabled');
+  notifyListeners();
+}
+
+/**
+ * Unlock stored recordings for this page.
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} False when the passphrase is wrong
+ */
+export async function unlock(passphrase) {
+  const record = readKeyRecord();
+  if (!record) return true;
+
+  let wrappingKey;
+  try {
+    wrappingKey = await deriveWrappingKey(
+      passphrase, fromBase64(record.kdf.salt), record.kdf.iterations
+    );
+    privateKey = await crypto.subtle.unwrapKey(
+      'pkcs8',
+      fromBase64(record.wrappedPrivateKey.data),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(record.wrappedPrivateKey.iv) },
+      RSA_PARAMS,
+      false,
+      ['unwrapKey']
+    );
+  } catch (error) {
+    // AES-GCM authentication fails on a wrong passphrase
+    return false;
+  }
+  hashKey = await openHashKey(record, wrappingKey);
+
+  console.log('🔓 Recordings unlocked');
+  notifyListeners();
+  return true;
+}
+
+/**
+ * Forget the unlocked key; reads need unlock() again.
+ */
+export function lock() {
+  privateKey = null;
+  hashKey = null;
+  console.log('🔒 Recordings locked');
+  notifyListeners();
+}
+
+/**
+ * Create a fresh key for one recording. Works while locked.
+ * @returns {Promise<{ key: CryptoKey, wrappedKey: string }>}
+ */
+export async function createRecordKey() {
+  const record = readKeyRecord();
+  if (!record) {
+    throw createError(UPLOAD_ERRORS.NOT_SUPPORTED, 'Encryption is not set up');
+  }
+
+  const publicKey = await crypto.subtle.importKey('jwk', record.publicKey, RSA_PARAMS, false, ['wrapKey']);
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const wrapped = await crypto.subtle.wrapKey('raw', key, publicKey, { name: 'RSA-OAEP' });
+  return { key, wrappedKey: toBase64(wrapped) };
+}
+
+/**
+ * Recover a recording's key. Requires unlock().
+ * @param {string} wrappedKey From createRecordKey
+ * @returns {Promise<CryptoKey>}
+ */
+export async function openRecordKey(wrappedKey) {
+  if (!privateKey) {
+    throw createError(UPLOAD_ERRORS.LOCKED);
+  }
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw', fromBase64(wrappedKey), privateKey, { name: 'RSA-OAEP' },
+      { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+    );
+  } catch (error) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Recording key could not be decrypted', error);
+  }
+}
+
+/**
+ * Lookup tag for a recording's content hash, stored outside the
+ * encrypted metadata so duplicates can be found without decrypting
+ * every recording. HMAC-SHA-256 under the passphrase-wrapped hash
+ * key, so reading storage is not enough to test a guessed file.
+ * Needs unlock(): recordings saved while locked get no tag.
+ * @param {string} contentHash Lowercase hex SHA-256
+ * @returns {Promise<string|null>} Hex tag, or null when encryption is
+ *   off or locked
+ */
+export async function contentHashTag(contentHash) {
+  if (!hashKey || !contentHash || !isEncryptionEnabled()) {
+    return null;
+  }
+
+  const tag = await crypto.subtle.sign('HMAC', hashKey, new TextEncoder().encode(contentHash));
+  return Array.from(new Uint8Array(tag), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encrypt a JSON-serialisable value.
+ * @param {CryptoKey} key Recording key
+ * @param {*} value
+ * @returns {Promise<{ iv: string, data: string }>}
+ */
+export async function encryptJson(key, value) {
+  const iv = randomIv();
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a value from encryptJson.
+ * @param {CryptoKey} key Recording key
+ * @param {{ iv: string, data: string }} sealed
+ * @returns {Promise<*>}
+ */
+export async function decryptJson(key, { iv, data }) {
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (error) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Recording metadata could not be decrypted', error);
+  }
+}
+
+/**
+ * Encrypt a Blob.
+ * @param {CryptoKey} key Recording key
+ * @param {Blob} blob
+ * @returns {Promise<{ iv: string, blob: Blob }>} Ciphertext Blob
+ */
+export async function encryptBlob(key, blob) {
+  const iv = randomIv();
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+  return { iv: toBase64(iv), blob: new Blob([data], { type: 'application/octet-stream' }) };
+}
+
+/**
+ * Decrypt a Blob from encryptBlob.
+ * @param {CryptoKey} key Recording key
+ * @param {string} iv From encryptBlob
+ * @param {Blob} blob Ciphertext
+ * @param {string} [type] Mime type of the plaintext
+ * @returns {Promise<Blob>}
+ */
+export async function decryptBlob(key, iv, blob, type) {
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, await blob.arrayBuffer());
+    return new Blob([plain], { type: type || '' });
+  } catch (error) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Recording media could not be decrypted', error);
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * httpClient.js
+ * -------------
+ * Shared helpers for the HTTP recording backend: URL building
+ * against ENV_CONFIG.API_BASE_URL, JSON requests with timeouts,
+ * and mapping HTTP failures to structured UPLOAD_ERRORS.
+ */
+
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+import { ENV_CONFIG, SERVICE_CONFIG } from '../config';
+
+/**
+ * Build an absolute API URL.
+ * @param {string} basePath Collection path, e.g. '/recordings'
+ * @param {...string} segments Path segments (URI-encoded)
+ * @returns {string}
+ */
+export function apiUrl(basePath, ...segments) {
+  const base = ENV_CONFIG.API_BASE_URL.replace(/\/+$/, '');
+  const path = segments.map((segment) => encodeURIComponent(segment)).join('/');
+  return `${base}${basePath}${path ? `/${path}` : ''}`;
+}
+
+/**
+ * Map an HTTP status code to an UPLOAD_ERRORS type.
+ * @param {number} status HTTP status
+ * @returns {string}
+ */
+export function errorTypeForStatus(status) {
+  if (status === 401 || status === 403) return UPLOAD_ERRORS.PERMISSION_DENIED;
+  if (status === 408 || status === 504) return UPLOAD_ERRORS.TIMEOUT;
+  if (status === 413 || status === 507) return UPLOAD_ERRORS.QUOTA_EXCEEDED;
+  if (status === 400 || status === 415 || status === 422) return UPLOAD_ERRORS.INVALID_FILE;
+  if (status === 405 || status === 501) return UPLOAD_ERRORS.NOT_SUPPORTED;
+  return UPLOAD_ERRORS.UNKNOWN;
+}
+
+/**
+ * Extract the server's { error } message from a response body, if any.
+ * @param {string} bodyText Raw response body
+ * @returns {string|null}
+ */
+export function serverMessage(bodyText) {
+  if (!bodyText) return null;
+  try {
+    return JSON.parse(bodyText).error || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Build a structured error for a non-2xx response.
+ * The HTTP status is kept on the error as `status`.
+ * @param {number} status HTTP status
+ * @param {string} bodyText Raw response body
+ * @returns {Object}
+ */
+export function httpError(status, bodyText) {
+  const error = createError(errorTypeForStatus(status), serverMessage(bodyText));
+  error.status = status;
+  return error;
+}
+
+/**
+ * fetch() wrapper with a timeout that converts network failures
+ * and non-2xx statuses into structured errors.
+ * @param {string} url Absolute URL
+ * @param {Object} [options] fetch options; `signal` cancels the request
+ *   and rejects with CANCELLED (as opposed to TIMEOUT), `timeoutMs`
+ *   overrides REQUEST_TIMEOUT_MS (0 = no timeout)
+ * @returns {Promise<Response>} The (ok) response
+ */
+export async function request(url, options = {}) {
+  const { signal, timeoutMs = SERVICE_CONFIG.HTTP.REQUEST_TIMEOUT_MS, ...fetchOptions } = options;
+  if (signal?.aborted) {
+    throw createError(UPLOAD_ERRORS.CANCELLED);
+  }
+
+  // One controller serves both the timeout and the caller's signal
+  const controller = new AbortController();
+  const timeoutId = timeoutMs > 0 ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  const forwardAbort = () => controller.abort();
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+
+  let response;
+  try {
+    response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+  } catch (err) {
+    if (signal?.aborted) {
+      throw createError(UPLOAD_ERRORS.CANCELLED, null, err);
+    }
+    throw createError(
+      err.name === 'AbortError' ? UPLOAD_ERRORS.TIMEOUT : UPLOAD_ERRORS.NETWORK_ERROR,
+      null,
+      err
+    );
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', forwardAbort);
+  }
+
+  if (!response.ok) {
+    throw httpError(response.status, await response.text());
+  }
+  return response;
+}
+
+/**
+ * JSON request helper.
+ * @param {string} method HTTP method
+ * @param {string} url Absolute URL
+ * @param {Object} [body] JSON body
+ * @param {AbortSignal} [signal] Cancels the request
+ * @returns {Promise<*>} Parsed response body, or null when empty
+ */
+export async function requestJson(method, url, body, signal) {
+  const response = await request(url, {
+    method,
+    signal,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
@@ -0,0 +1,274 @@
+// ----------------------------------------------------------
+// httpRecordingService.js - HTTP/REST IMPLEMENTATION
+// ----------------------------------------------------------
+//
+// Recording backend that talks to ENV_CONFIG.API_BASE_URL.
+// Selected with REACT_APP_STORAGE_TYPE=http. A local stand-in
+// server implementing the same contract lives in
+// server/recordingServer.js (`npm run server`).
+//
+// REST contract (paths relative to API_BASE_URL):
+//
+//   POST   /recordings            multipart/form-data
+//            file      (binary)  the recording
+//            fileName  (string)  e.g. 2025-01-26_145210_audio.webm
+//            fileType  (string)  'audio' | 'video'
+//            mimeType  (string)  actual MediaRecorder mime type
+//          => 201 recording
+//   GET    /recordings            => 200 [recording, ...]
+//   GET    /recordings?limit=N[&fileType=&from=&to=&sort=&cursor=]
+//          => 200 { items: [recording, ...], nextCursor }
+//            from/to are ISO timestamps (from inclusive, to exclusive),
+//            sort is 'newest' | 'oldest'; see recordingQuery.js
+//   GET    /recordings?contentHash=<sha256 hex> => 200 [recording, ...]
+//   GET    /recordings/:id        => 200 recording | 404
+//   PATCH  /recordings/:id        JSON body with fields to change
+//          => 200 recording | 404
+//   DELETE /recordings/:id        => 204 | 404
+//   GET    /recordings/:id/media  => 200 media bytes
+//
+// Large recordings use the resumable upload endpoints under
+// /uploads instead of POST /recordings; see chunkedUpload.js.
+//
+// A recording is JSON:
+//   { id, fileName, fileType, mimeType, size, contentHash, createdAt, downloadURL? }
+// contentHash is the SHA-256 (hex) of the media, computed by the server.
+// When downloadURL is omitted the client uses /recordings/:id/media.
+// Errors are JSON { error: string } with a 4xx/5xx status.
+//
+// ----------------------------------------------------------
+
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+import { SERVICE_CONFIG } from '../config';
+import { apiUrl, httpError, requestJson } from './httpClient';
+import { resumableUpload } from './chunkedUpload';
+import { normalizeQuery } from './recordingQuery';
+
+const HTTP_CONFIG = SERVICE_CONFIG.HTTP;
+
+// Build an absolute URL under the recordings collection
+function buildUrl(...segments) {
+  return apiUrl(HTTP_CONFIG.RECORDINGS_PATH, ...segments);
+}
+
+// Ensure every recording carries a playable downloadURL
+function withDownloadURL(recording) {
+  return {
+    ...recording,
+    downloadURL: recording.downloadURL || buildUrl(recording.id, 'media')
+  };
+}
+
+/**
+ * Fetch a single recording document by ID (HTTP VERSION).
+ * @param {string} docId Recording ID
+ * @returns {Promise<Object|null>} The recording data or null if not found
+ */
+export async function fetchRecording(docId) {
+  try {
+    const recording = await requestJson('GET', buildUrl(docId));
+    return recording ? withDownloadURL(recording) : null;
+  } catch (err) {
+    if (err.status === 404) {
+      return null;
+    }
+    console.error('Error in fetchRecording:', err);
+    throw err;
+  }
+}
+
+/**
+ * Fetch all recordings (HTTP VERSION).
+ * @returns {Promise<Array>} Array of recording objects
+ */
+export async function fetchAllRecordings() {
+  try {
+    const recordings = await requestJson('GET', buildUrl());
+    return (recordings || []).map(withDownloadURL);
+  } catch (err) {
+    console.error('Error in fetchAllRecordings:', err);
+    throw err;
+  }
+}
+
+/**
+ * Find a recording whose media has the given SHA-256 (HTTP VERSION).
+ * @param {string} contentHash Lowercase hex SHA-256
+ * @returns {Promise<Object|null>} The first match, or null
+ */
+export async function findRecordingByHash(contentHash) {
+  const search = new URLSearchParams({ contentHash });
+  const matches = await requestJson('GET', `${buildUrl()}?${search}`);
+  return matches?.length ? withDownloadURL(matches[0]) : null;
+}
+
+/**
+ * Import a recording with existing metadata (HTTP VERSION).
+ * The server assigns a new ID; createdAt is restored with a
+ * follow-up PATCH so the recording keeps its original date.
+ * @param {Blob} blob Recording media
+ * @param {Object} metadata { fileName, fileType, mimeType?, createdAt? }
+ * @returns {Promise<Object>} The stored recording
+ */
+export async function importRecording(blob, metadata) {
+  const { docId } = await uploadRecording(blob, metadata.fileName, metadata.fileType, null, metadata.mimeType);
+  if (metadata.createdAt) {
+    return updateRecording(docId, { createdAt: metadata.createdAt });
+  }
+  return fetchRecording(docId);
+}
+
+/**
+ * Query recordings with filtering, sorting and pagination (HTTP VERSION).
+ * Parameters are validated client-side, then sent as query string;
+ * the cursor is passed back to the server untouched.
+ * @param {Object} [params] { fileType, from, to, sort, limit, cursor }
+ * @returns {Promise<{ items: Array, nextCursor: string|null }>}
+ */
+export async function queryRecordings(params = {}) {
+  try {
+    const query = normalizeQuery({ ...params, cursor: null });
+    const search = new URLSearchParams({ limit: String(query.limit), sort: query.sort });
+    if (query.fileType) search.set('fileType', query.fileType);
+    if (query.from !== null) search.set('from', new Date(query.from).toISOString());
+    if (query.to !== null) search.set('to', new Date(query.to).toISOString());
+    if (params.cursor) search.set('cursor', params.cursor);
+
+    const page = await requestJson('GET', `${buildUrl()}?${search}`);
+    return {
+      items: (page?.items || []).map(withDownloadURL),
+      nextCursor: page?.nextCursor || null
+    };
+  } catch (err) {
+    console.error('Error in queryRecordings:', err);
+    throw err;
+  }
+}
+
+/**
+ * Upload a blob (HTTP VERSION).
+ * Small recordings go up in one multipart POST; anything above
+ * RESUMABLE.THRESHOLD_BYTES uses the resumable chunked protocol.
+ *
+ * @param {Blob} blob        The recording blob
+ * @param {string} fileName  The desired file name
+ * @param {string} fileType  'audio' or 'video'
+ * @param {function} onProgress A callback for upload progress (fraction)
+ * @param {string} [actualMimeType] Optional actual mime type
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Cancels the upload (rejects with CANCELLED)
+ * @param {string} [options.contentHash] SHA-256 (hex) of the blob; keys resumable uploads
+ * @returns {Promise<{ docId: string, downloadURL: string }>}
+ */
+export async function uploadRecording(
+  blob,
+  fileName,
+  fileType,
+  onProgress,
+  actualMimeType,
+  { signal, contentHash } = {}
+) {
+  if (blob.size > HTTP_CONFIG.RESUMABLE.THRESHOLD_BYTES) {
+    console.log('🚀 HTTP resumable upload started:', fileName, fileType);
+    const recording = withDownloadURL(await resumableUpload({
+      blob,
+      fileName,
+      fileType,
+      mimeType: actualMimeType || blob.type,
+      contentHash,
+      onProgress,
+      signal
+    }));
+    console.log('✅ HTTP upload complete:', { docId: recording.id, fileName });
+    return { docId: recording.id, downloadURL: recording.downloadURL };
+  }
+
+  return uploadMultipart(blob, fileName, fileType, onProgress, actualMimeType, signal);
+}
+
+// Single-request multipart upload.
+// Uses XMLHttpRequest so onProgress reports real bytes sent.
+function uploadMultipart(blob, fileName, fileType, onProgress, actualMimeType, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createError(UPLOAD_ERRORS.CANCELLED));
+      return;
+    }
+    console.log('🚀 HTTP upload started:', fileName, fileType);
+
+    const formData = new FormData();
+    formData.append('fileName', fileName);
+    formData.append('fileType', fileType);
+    formData.append('mimeType', actualMimeType || blob.type);
+    formData.append('file', blob, fileName);
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', buildUrl());
+    xhr.timeout = HTTP_CONFIG.UPLOAD_TIMEOUT_MS;
+
+    xhr.upload.onprogress = (evt) => {
+      if (onProgress && evt.lengthComputable && evt.total > 0) {
+        onProgress(evt.loaded / evt.total);
+      }
+    };
+
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        const error = httpError(xhr.status, xhr.responseText);
+        console.error('HTTP upload rejected:', error);
+        reject(error);
+        return;
+      }
+
+      try {
+        const recording = withDownloadURL(JSON.parse(xhr.responseText));
+        if (onProgress) {
+          onProgress(1);
+        }
+        console.log('✅ HTTP upload complete:', { docId: recording.id, fileName });
+        resolve({ docId: recording.id, downloadURL: recording.downloadURL });
+      } catch (err) {
+        reject(createError(UPLOAD_ERRORS.UNKNOWN, 'Invalid response from recording server', err));
+      }
+    };
+
+    xhr.onerror = () => {
+      reject(createError(UPLOAD_ERRORS.NETWORK_ERROR));
+    };
+
+    xhr.ontimeout = () => {
+      reject(createError(UPLOAD_ERRORS.TIMEOUT));
+    };
+
+    xhr.onabort = () => {
+      console.log('⛔ HTTP upload cancelled:', fileName);
+      reject(createError(UPLOAD_ERRORS.CANCELLED));
+    };
+
+    const abortUpload = () => xhr.abort();
+    signal?.addEventListener('abort', abortUpload, { once: true });
+    xhr.onloadend = () => signal?.removeEventListener('abort', abortUpload);
+
+    xhr.send(formData);
+  });
+}
+
+/**
+ * Delete a recording and its media (HTTP VERSION).
+ * @param {string} docId Recording ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRecording(docId) {
+  await requestJson('DELETE', buildUrl(docId));
+}
+
+/**
+ * Update a recording's metadata (HTTP VERSION).
+ * @param {string} docId Recording ID
+ * @param {Object} patch Fields to change
+ * @returns {Promise<Object>} The updated recording
+ */
+export async function updateRecording(docId, patch) {
+  const recording = await requestJson('PATCH', buildUrl(docId), patch);
+  return withDownloadURL(recording);
+}
@@ -0,0 +1,174 @@
+/**
+ * indexedDbStore.js
+ * -----------------
+ * Small promise-based wrapper around IndexedDB.
+ * Used by the local recording service to persist the actual
+ * recording Blobs so they survive page reloads and new tabs
+ * (object URLs only live as long as the document that made them).
+ */
+
+import { createError, isStructuredError, UPLOAD_ERRORS, STORAGE_ERRORS, classifyStorageError } from '../utils/errors';
+import { SERVICE_CONFIG } from '../config';
+
+const DB_CONFIG = SERVICE_CONFIG.LOCAL_STORAGE.INDEXED_DB;
+
+// Shared connection promise so every caller reuses one open database
+let dbPromise = null;
+
+// Convert an IDBRequest into a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Wrap low-level IndexedDB failures in the app's structured error format
+function toStructuredError(error, message) {
+  const errorType = error ? classifyStorageError(error) : STORAGE_ERRORS.NOT_SUPPORTED;
+  return createError(
+    errorType === STORAGE_ERRORS.QUOTA_EXCEEDED ? UPLOAD_ERRORS.QUOTA_EXCEEDED : UPLOAD_ERRORS.UNKNOWN,
+    message,
+    error
+  );
+}
+
+/**
+ * Open (and upgrade if needed) the recordings database.
+ * Every store listed in the configuration is created with `id` as key path.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(toStructuredError(
+      new Error('IndexedDB is not supported in this browser'),
+      'IndexedDB is not available'
+    ));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_CONFIG.NAME, DB_CONFIG.VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(DB_CONFIG.STORES).forEach((storeName) => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: 'id' });
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema: drop our handle so the next call reopens
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(toStructuredError(request.error, 'Failed to open recordings database'));
+    };
+
+    request.onblocked = () => {
+      console.warn('Recordings database upgrade blocked by another open tab');
+    };
+  });
+
+  return dbPromise;
+}
+
+// Run a single request against a store and resolve with its result
+async function runRequest(storeName, mode, makeRequest, errorMessage) {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+
+    // Writes are only durable once the transaction completes
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const store = transaction.objectStore(storeName);
+    const result = await promisifyRequest(makeRequest(store));
+
+    if (mode === 'readwrite') {
+      await completed;
+    } else {
+      completed.catch(() => {});
+    }
+    return result;
+  } catch (error) {
+    // Already structured (e.g. from openDatabase)
+    if (isStructuredError(error)) {
+      throw error;
+    }
+    throw toStructuredError(error, errorMessage);
+  }
+}
+
+/**
+ * Read one record by key.
+ * @param {string} storeName Object store name
+ * @param {string} id Record key
+ * @returns {Promise<Object|null>}
+ */
+export async function getRecord(storeName, id) {
+  const record = await runRequest(storeName, 'readonly', (store) => store.get(id), 'Failed to read from recordings database');
+  return record || null;
+}
+
+/**
+ * Insert or replace a record. The record must carry an `id` field.
+ * @param {string} storeName Object store name
+ * @param {Object} record Record to store
+ * @returns {Promise<void>}
+ */
+export async function putRecord(storeName, record) {
+  await runRequest(storeName, 'readwrite', (store) => store.put(record), 'Failed to write to recordings database');
+}
+
+/**
+ * Delete a record by key (no-op if missing).
+ * @param {string} storeName Object store name
+ * @param {string} id Record key
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(storeName, id) {
+  await runRequest(storeName, 'readwrite', (store) => store.delete(id), 'Failed to delete from recordings database');
+}
+
+/**
+ * Read every record in a store.
+ * @param {string} storeName Object store name
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAllRecords(storeName) {
+  return runRequest(storeName, 'readonly', (store) => store.getAll(), 'Failed to read from recordings database');
+}
+
+/**
+ * List every key in a store.
+ * @param {string} storeName Object store name
+ * @returns {Promise<Array<string>>}
+ */
+export async function getAllKeys(storeName) {
+  return runRequest(storeName, 'readonly', (store) => store.getAllKeys(), 'Failed to list recordings database keys');
+}
+
+/**
+ * Remove every record from a store.
+ * @param {string} storeName Object store name
+ * @returns {Promise<void>}
+ */
+export async function clearStore(storeName) {
+  await runRequest(storeName, 'readwrite', (store) => store.clear(), 'Failed to clear recordings database');
+}
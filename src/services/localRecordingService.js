@@ -3,8 +3,20 @@
 // ----------------------------------------------------------
 //
 // This file provides local storage implementations for recording
-// services. Recordings are stored in browser localStorage with
-// blob URLs for playback. No server or network connection needed.
+// services. Recording metadata is stored in browser localStorage
+// and the media Blobs themselves in IndexedDB, so recordings
+// survive page reloads. Fresh object URLs are generated on
+// demand for playback. No server or network connection needed.
+//
+// When encryption is set up (services/encryption.js), metadata
+// is stored as { id, size, hashTag, encrypted: { wrappedKey, iv, data } }
+// and media as ciphertext; both are decrypted transparently on
+// read, which requires the recordings to be unlocked. hashTag
+// (see contentHashTag) lets duplicates be found without decrypting
+// each recording; it is only written while unlocked.
+//
+// scanStorageIntegrity()/repairStorage() find and fix drift
+// between the metadata list and the stored media.
 //
 // ----------------------------------------------------------
 
@@ -12,19 +24,44 @@ import {
   safeParseJSON, 
   validateStorageData, 
   createError, 
+  toStructuredError,
   classifyStorageError,
   UPLOAD_ERRORS,
   STORAGE_ERRORS 
 } from '../utils/errors';
 import { SERVICE_CONFIG } from '../config';
+import { getRecord, getAllRecords, putRecord, deleteRecord, clearStore } from './indexedDbStore';
+import { queryRecordingList } from './recordingQuery';
+import { migrateRecordings, toStorageEnvelope } from './storageMigrations';
+import { ensureStorageAvailable } from './storageQuota';
+import { hashBlob } from './contentHash';
+import { notifyRecordingsChanged, withRecordingsLock, RECORDING_CHANGE } from './recordingChanges';
+import {
+  isEncryptionEnabled,
+  getEncryptionState,
+  contentHashTag,
+  createRecordKey,
+  openRecordKey,
+  encryptJson,
+  decryptJson,
+  encryptBlob,
+  decryptBlob
+} from './encryption';
 
 // Local storage keys (now from configuration)
 const RECORDINGS_KEY = SERVICE_CONFIG.LOCAL_STORAGE.RECORDINGS_KEY;
 const BLOB_STORAGE_KEY = SERVICE_CONFIG.LOCAL_STORAGE.BLOB_STORAGE_KEY;
+const MEDIA_STORE = SERVICE_CONFIG.LOCAL_STORAGE.INDEXED_DB.STORES.MEDIA;
+
+// Metadata fields updateRecording may change (mirrors the HTTP backend)
+const UPDATABLE_FIELDS = ['fileName', 'fileType', 'mimeType', 'createdAt'];
 
 // Simulate server timestamp
 const serverTimestamp = () => new Date().toISOString();
 
+// Generate a unique local doc ID
+const newDocId = () => 'local_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
 // Helper to get recordings from localStorage with structured error handling
 function getStoredRecordings() {
   try {
@@ -33,15 +70,24 @@ function getStoredRecordings() {
       return [];
     }
     
-    const parsed = safeParseJSON(stored, []);
+    // Corrupt JSON parses to null; the migration runner backs it up
+    const parsed = safeParseJSON(stored, null);
     
-    // Validate data structure
-    if (!validateStorageData(parsed)) {
-      console.warn('Invalid recordings data structure, returning empty array');
-      return [];
+    // Upgrade older schema versions; failures are backed up by the runner
+    const { recordings, migrated } = migrateRecordings(parsed, {
+      storageKey: RECORDINGS_KEY,
+      rawValue: stored
+    });
+    if (migrated) {
+      try {
+        saveRecordings(recordings);
+      } catch (saveError) {
+        // Still usable this session; the migration reruns on next load
+        console.warn('Could not persist migrated recordings:', saveError);
+      }
     }
     
-    return parsed;
+    return recordings;
   } catch (error) {
     const errorType = classifyStorageError(error);
     const structuredError = createError(
@@ -62,7 +108,7 @@ function saveRecordings(recordings) {
       throw new Error('Invalid recordings data structure');
     }
     
-    localStorage.setItem(RECORDINGS_KEY, JSON.stringify(recordings));
+    localStorage.setItem(RECORDINGS_KEY, JSON.stringify(toStorageEnvelope(recordings)));
   } catch (error) {
     const errorType = classifyStorageError(error);
     const structuredError = createError(
@@ -75,60 +121,140 @@ function saveRecordings(recordings) {
   }
 }
 
-// Helper to store blob URL with structured error handling
-function storeBlobUrl(docId, blobUrl) {
-  try {
-    if (!docId || !blobUrl || typeof docId !== 'string' || typeof blobUrl !== 'string') {
-      throw new Error('Invalid docId or blobUrl parameters');
+// Helper to get a new recording key when encryption is on (null otherwise)
+async function newRecordKey() {
+  return isEncryptionEnabled() ? createRecordKey() : null;
+}
+
+// Helper to turn a recording into its stored form, encrypting the
+// metadata with the recording key when one is given
+async function sealRecording(recording, recordKey) {
+  if (!recordKey) {
+    return recording;
+  }
+  // mediaMissing stays readable while locked (see repairStorage)
+  const { mediaMissing, ...payload } = recording;
+  const { iv, data } = await encryptJson(recordKey.key, payload);
+  const hashTag = await contentHashTag(recording.contentHash);
+  return {
+    id: recording.id,
+    size: recording.size,
+    ...(hashTag && { hashTag }),
+    encrypted: { wrappedKey: recordKey.wrappedKey, iv, data },
+    ...(mediaMissing && { mediaMissing: true })
+  };
+}
+
+// Helper to read a stored item back into a plain recording.
+// Rejects with LOCKED for encrypted items while locked.
+async function openRecording(item) {
+  if (!item.encrypted) {
+    return { recording: item, recordKey: null };
+  }
+  const { wrappedKey } = item.encrypted;
+  const key = await openRecordKey(wrappedKey);
+  const recording = await decryptJson(key, item.encrypted);
+  return {
+    // mediaMissing is set by repairStorage outside the ciphertext
+    recording: { ...recording, id: item.id, ...(item.mediaMissing && { mediaMissing: true }) },
+    recordKey: { key, wrappedKey }
+  };
+}
+
+// Helper to read and decrypt the whole metadata list
+async function readRecordings() {
+  const opened = await Promise.all(getStoredRecordings().map(openRecording));
+  return opened.map(({ recording }) => recording);
+}
+
+// Helper for an ID that is already in use. status 409 matches an
+// HTTP conflict, so callers can retry without the ID
+function idTakenError(docId) {
+  const error = createError(UPLOAD_ERRORS.INVALID_FILE, `A recording with ID ${docId} already exists`);
+  error.status = 409;
+  return error;
+}
+
+// Helper to append a newly created item. The list is re-read
+// under the write lock so writes from this or another tab that
+// happened while we were awaiting are kept.
+function addStoredItem(item) {
+  return withRecordingsLock(() => {
+    const recordings = getStoredRecordings();
+    if (recordings.some(r => r.id === item.id)) {
+      throw idTakenError(item.id);
     }
-    
-    const stored = localStorage.getItem(BLOB_STORAGE_KEY) || '{}';
-    let blobs = safeParseJSON(stored, {});
-    
-    // Validate blob storage structure
-    if (!validateStorageData(blobs)) {
-      console.warn('Invalid blob storage data, resetting to empty object');
-      blobs = {};
+    saveRecordings([...recordings, item]);
+  });
+}
+
+// Helper to read-modify-write one existing item under the write
+// lock. `transform` gets the current stored item and returns (or
+// resolves to) its replacement. Resolves with that replacement, or
+// null when the item is gone (e.g. deleted meanwhile) - a missing
+// item is never written back.
+function updateStoredItem(docId, transform) {
+  return withRecordingsLock(async () => {
+    const current = getStoredRecordings().find(r => r.id === docId);
+    if (!current) {
+      return null;
     }
-    
-    blobs[docId] = blobUrl;
-    localStorage.setItem(BLOB_STORAGE_KEY, JSON.stringify(blobs));
-  } catch (error) {
-    const errorType = classifyStorageError(error);
-    const structuredError = createError(
-      errorType === STORAGE_ERRORS.QUOTA_EXCEEDED ? UPLOAD_ERRORS.QUOTA_EXCEEDED : UPLOAD_ERRORS.UNKNOWN,
-      'Failed to store blob URL',
-      error
-    );
-    console.error('Storage error in storeBlobUrl:', structuredError);
-    // Don't throw here to maintain existing behavior of continuing without blob URL
+    const next = await transform(current);
+    saveRecordings(getStoredRecordings().map(r => (r.id === docId ? next : r)));
+    return next;
+  });
+}
+
+// Helper to persist the recording media in IndexedDB.
+// A copy of the core metadata travels with the Blob so the
+// media record is self-describing; encrypted media carries its
+// own wrapped key. Fails fast with QUOTA_EXCEEDED when the
+// browser reports too little space.
+async function storeMedia(docId, blob, mimeType, recordKey = null) {
+  await ensureStorageAvailable(blob.size);
+
+  if (recordKey) {
+    const { iv, blob: ciphertext } = await encryptBlob(recordKey.key, blob);
+    await putRecord(MEDIA_STORE, {
+      id: docId,
+      blob: ciphertext,
+      encrypted: { wrappedKey: recordKey.wrappedKey, iv },
+      size: ciphertext.size,
+      storedAt: serverTimestamp()
+    });
+    return;
   }
+
+  await putRecord(MEDIA_STORE, {
+    id: docId,
+    blob,
+    mimeType,
+    size: blob.size,
+    storedAt: serverTimestamp()
+  });
 }
 
-// Helper to get blob URL with structured error handling
-function getBlobUrl(docId) {
+// Helper to create a fresh object URL for stored media
+async function getMediaUrl(docId, mimeType) {
   try {
     if (!docId || typeof docId !== 'string') {
       return null;
     }
-    
-    const stored = localStorage.getItem(BLOB_STORAGE_KEY) || '{}';
-    const blobs = safeParseJSON(stored, {});
-    
-    // Validate blob storage structure
-    if (!validateStorageData(blobs)) {
-      console.warn('Invalid blob storage data structure');
+
+    const media = await getRecord(MEDIA_STORE, docId);
+    if (!media || !(media.blob instanceof Blob)) {
       return null;
     }
-    
-    return blobs[docId] || null;
+
+    if (media.encrypted) {
+      const key = await openRecordKey(media.encrypted.wrappedKey);
+      const plain = await decryptBlob(key, media.encrypted.iv, media.blob, mimeType);
+      return URL.createObjectURL(plain);
+    }
+
+    return URL.createObjectURL(media.blob);
   } catch (error) {
-    const structuredError = createError(
-      UPLOAD_ERRORS.UNKNOWN,
-      'Failed to retrieve blob URL',
-      error
-    );
-    console.error('Storage error in getBlobUrl:', structuredError);
+    console.error('Storage error in getMediaUrl:', error);
     return null;
   }
 }
@@ -144,18 +270,20 @@ export async function fetchRecording(docId) {
   
   try {
     const recordings = getStoredRecordings();
-    const recording = recordings.find(r => r.id === docId);
+    const item = recordings.find(r => r.id === docId);
     
-    if (!recording) {
+    if (!item) {
       return null;
     }
+    const { recording } = await openRecording(item);
     
-    // Get the stored blob URL
-    const downloadURL = getBlobUrl(docId);
+    // Regenerate a playable URL from the persisted Blob.
+    // Callers own the URL and should revoke it when done.
+    const downloadURL = await getMediaUrl(docId, recording.mimeType);
     
     return {
       ...recording,
-      downloadURL: downloadURL || recording.downloadURL
+      downloadURL
     };
   } catch (err) {
     console.error('Error in fetchRecording:', err);
@@ -172,7 +300,7 @@ export async function fetchAllRecordings() {
   await new Promise(resolve => setTimeout(resolve, SERVICE_CONFIG.LOCAL_STORAGE.FETCH_DELAY_MS));
   
   try {
-    const recordings = getStoredRecordings();
+    const recordings = await readRecordings();
     console.log('📦 Local recordings found:', recordings.length);
     return recordings;
   } catch (err) {
@@ -181,112 +309,554 @@ export async function fetchAllRecordings() {
   }
 }
 
+/**
+ * Recordings that can be read right now (LOCAL VERSION). Unlike
+ * fetchAllRecordings this works while locked: encrypted
+ * recordings are then only counted in `unreadable`.
+ * @returns {Promise<{ recordings: Array, unreadable: number }>}
+ */
+export async function readAvailableRecordings() {
+  const { unlocked } = getEncryptionState();
+  const items = getStoredRecordings();
+  const readable = items.filter(item => !item.encrypted || unlocked);
+  const opened = await Promise.all(readable.map(openRecording));
+  return {
+    recordings: opened.map(({ recording }) => recording),
+    unreadable: items.length - readable.length
+  };
+}
+
+/**
+ * Stamp recordings as synced, i.e. copied off this device (LOCAL VERSION).
+ * Retention rules only remove synced recordings by default.
+ * @param {Array<string>} docIds Recording IDs
+ * @param {string} [syncedAt] ISO timestamp (default now)
+ * @returns {Promise<void>}
+ */
+export async function markRecordingsSynced(docIds, syncedAt = serverTimestamp()) {
+  const synced = [];
+  for (const docId of docIds) {
+    const stored = await updateStoredItem(docId, async (item) => {
+      const { recording, recordKey } = await openRecording(item);
+      return sealRecording({ ...recording, syncedAt }, recordKey);
+    });
+    // Deleted meanwhile: nothing to stamp
+    if (stored) {
+      synced.push(docId);
+    }
+  }
+  if (synced.length > 0) {
+    notifyRecordingsChanged(RECORDING_CHANGE.UPDATED, synced);
+  }
+}
+
+/**
+ * Query recordings with filtering, sorting and pagination (LOCAL VERSION).
+ * @param {Object} [params] { fileType, from, to, sort, limit, cursor }
+ * @returns {Promise<{ items: Array, nextCursor: string|null }>}
+ */
+export async function queryRecordings(params = {}) {
+  // Simulate network delay
+  await new Promise(resolve => setTimeout(resolve, SERVICE_CONFIG.LOCAL_STORAGE.FETCH_DELAY_MS));
+
+  try {
+    return queryRecordingList(await readRecordings(), params);
+  } catch (err) {
+    console.error('Error in queryRecordings:', err);
+    throw err;
+  }
+}
+
+/**
+ * Find a recording whose media has the given SHA-256 (LOCAL VERSION).
+ * Encrypted recordings are matched by their hashTag without being
+ * decrypted, and opened for comparison when they have none. Both
+ * need unlocking, so while locked only unencrypted recordings match.
+ * @param {string} contentHash Lowercase hex SHA-256
+ * @returns {Promise<Object|null>} The matching recording, or null
+ */
+export async function findRecordingByHash(contentHash) {
+  const { unlocked } = getEncryptionState();
+  const tag = await contentHashTag(contentHash);
+  for (const item of getStoredRecordings()) {
+    if (!item.encrypted) {
+      if (item.contentHash === contentHash) return item;
+    } else if (!unlocked) {
+      continue;
+    } else if (item.hashTag) {
+      if (item.hashTag === tag) return (await openRecording(item)).recording;
+    } else {
+      const { recording } = await openRecording(item);
+      if (recording.contentHash === contentHash) return recording;
+    }
+  }
+  return null;
+}
+
 /**
  * Upload a blob (LOCAL VERSION - stores in browser).
  * Simulates upload process with progress callbacks for smooth UX.
+ * Rejects with a structured error (see utils/errors.js) on failure.
  *
  * @param {Blob} blob        The recording blob
  * @param {string} fileName  The desired file name
  * @param {string} fileType  'audio' or 'video'
  * @param {function} onProgress A callback for upload progress (fraction)
  * @param {string} [actualMimeType] Optional actual mime type
- * @returns {Promise<{ docId: string, downloadURL: string }>}
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Cancels the upload (rejects with CANCELLED)
+ * @param {string} [options.contentHash] Precomputed SHA-256 of the blob
+ * @returns {Promise<{ docId: string, downloadURL: null }>} Use fetchRecording() for a playable URL
  */
 export async function uploadRecording(
   blob,
   fileName,
   fileType,
   onProgress,
-  actualMimeType
+  actualMimeType,
+  { signal, contentHash } = {}
 ) {
-  return new Promise((resolve) => {
-    try {
-      console.log('🚀 Local upload started:', fileName, fileType);
-      
-      // Create blob URL for local playback
-      const downloadURL = URL.createObjectURL(blob);
-      
-      // Generate unique doc ID
-      const docId = 'local_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-      
-      // Simulate upload progress
-      let progress = 0;
-      const progressInterval = setInterval(() => {
-        progress += Math.random() * 0.3;
-        if (progress > 1) progress = 1;
-        
-        if (onProgress) {
-          onProgress(progress);
-        }
-        
-        if (progress >= 1) {
-          clearInterval(progressInterval);
-          
-          try {
-            // Store the recording metadata
-            const recordings = getStoredRecordings();
-            const newRecording = {
-              id: docId,
-              downloadURL,
-              fileType,
-              fileName,
-              createdAt: serverTimestamp(),
-              // Add some demo metadata
-              size: blob.size,
-              mimeType: actualMimeType || blob.type
-            };
-            
-            recordings.push(newRecording);
-            saveRecordings(recordings);
-            
-            // Store blob URL separately for retrieval
-            storeBlobUrl(docId, downloadURL);
-            
-            console.log('✅ Local upload complete:', { docId, fileName });
-            resolve({ docId, downloadURL });
-          } catch (saveError) {
-            const structuredError = createError(
-              UPLOAD_ERRORS.UNKNOWN,
-              'Failed to save recording metadata',
-              saveError
-            );
-            console.error('Upload error during save:', structuredError);
-            resolve({ 
-              docId: 'error_' + Date.now(), 
-              downloadURL: URL.createObjectURL(blob) 
-            });
-          }
-        }
-      }, SERVICE_CONFIG.LOCAL_STORAGE.UPLOAD_PROGRESS_INTERVAL_MS);
-      
-    } catch (err) {
-      console.error('Error in local uploadRecording:', err);
-      resolve({ 
-        docId: 'error_' + Date.now(), 
-        downloadURL: URL.createObjectURL(blob) 
+  if (!(blob instanceof Blob) || blob.size === 0) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Recording is empty or missing');
+  }
+  if (signal?.aborted) {
+    throw createError(UPLOAD_ERRORS.CANCELLED);
+  }
+
+  return new Promise((resolve, reject) => {
+    console.log('🚀 Local upload started:', fileName, fileType);
+    let progressInterval = null;
+
+    // Cancellation: stop the simulated progress; finalizeUpload rolls back
+    const handleAbort = () => {
+      clearInterval(progressInterval);
+      console.log('⛔ Local upload cancelled:', fileName);
+      reject(createError(UPLOAD_ERRORS.CANCELLED));
+    };
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    // Generate unique doc ID
+    const docId = newDocId();
+
+    // Persist media first so metadata never points at missing bytes
+    async function finalizeUpload() {
+      let recordKey;
+      let hash;
+      try {
+        hash = contentHash || await hashBlob(blob);
+        recordKey = await newRecordKey();
+        await storeMedia(docId, blob, actualMimeType || blob.type, recordKey);
+      } catch (mediaError) {
+        signal?.removeEventListener('abort', handleAbort);
+        console.error('Upload error storing media:', mediaError);
+        reject(toStructuredError(mediaError, 'Failed to store recording media'));
+        return;
+      }
+
+      // Cancelled while the media was being written
+      if (signal?.aborted) {
+        deleteRecord(MEDIA_STORE, docId).catch(() => {});
+        return;
+      }
+      signal?.removeEventListener('abort', handleAbort);
+
+      try {
+        // Store the recording metadata
+        const newRecording = {
+          id: docId,
+          fileType,
+          fileName,
+          createdAt: serverTimestamp(),
+          // Add some demo metadata
+          size: blob.size,
+          mimeType: actualMimeType || blob.type,
+          contentHash: hash
+        };
+
+        await addStoredItem(await sealRecording(newRecording, recordKey));
+      } catch (saveError) {
+        // Roll back the media so it doesn't linger as an orphan
+        deleteRecord(MEDIA_STORE, docId).catch(() => {});
+        console.error('Upload error during save:', saveError);
+        reject(toStructuredError(saveError, 'Failed to save recording metadata'));
+        return;
+      }
+
+      // No object URL here: it would pin the Blob in memory with
+      // nobody to revoke it. fetchRecording() makes one on demand.
+      console.log('✅ Local upload complete:', { docId, fileName });
+      resolve({ docId, downloadURL: null });
+    }
+
+    // Simulate upload progress
+    let progress = 0;
+    progressInterval = setInterval(() => {
+      progress += Math.random() * 0.3;
+      if (progress > 1) progress = 1;
+
+      if (onProgress) {
+        onProgress(progress);
+      }
+
+      if (progress >= 1) {
+        clearInterval(progressInterval);
+        finalizeUpload();
+      }
+    }, SERVICE_CONFIG.LOCAL_STORAGE.UPLOAD_PROGRESS_INTERVAL_MS);
+  });
+}
+
+/**
+ * Delete a single recording and its stored media (LOCAL VERSION).
+ * Metadata goes first so the list never points at missing media;
+ * if releasing the media fails it is only logged.
+ * @param {string} docId Local recording ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRecording(docId) {
+  await withRecordingsLock(() => {
+    const recordings = getStoredRecordings();
+    const remaining = recordings.filter(r => r.id !== docId);
+
+    if (remaining.length === recordings.length) {
+      throw createError(UPLOAD_ERRORS.UNKNOWN, 'Recording not found');
+    }
+
+    saveRecordings(remaining);
+  });
+
+  try {
+    await deleteRecord(MEDIA_STORE, docId);
+  } catch (error) {
+    console.error('Storage error releasing media in deleteRecording:', error);
+  }
+  console.log('🗑️ Local recording deleted:', docId);
+}
+
+/**
+ * Update a recording's metadata (LOCAL VERSION).
+ * Only UPDATABLE_FIELDS are applied; a changed mimeType is also
+ * written to the stored media record.
+ * @param {string} docId Local recording ID
+ * @param {Object} patch Fields to change
+ * @returns {Promise<Object>} The updated recording (without downloadURL)
+ */
+export async function updateRecording(docId, patch = {}) {
+  if (patch.fileType !== undefined && !['audio', 'video'].includes(patch.fileType)) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'fileType must be "audio" or "video"');
+  }
+  if (patch.fileName !== undefined && !String(patch.fileName).trim()) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'fileName cannot be empty');
+  }
+
+  // Read, merge and write under the lock so concurrent patches don't
+  // overwrite each other and a concurrent delete isn't undone
+  let updated = null;
+  const stored = await updateStoredItem(docId, async (item) => {
+    const { recording, recordKey } = await openRecording(item);
+    updated = { ...recording };
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (patch[field] !== undefined) {
+        updated[field] = patch[field];
+      }
+    });
+
+    // Encrypted media takes its mime type from the metadata instead
+    if (!recordKey && updated.mimeType !== recording.mimeType) {
+      const media = await getRecord(MEDIA_STORE, docId);
+      if (media) {
+        await putRecord(MEDIA_STORE, { ...media, mimeType: updated.mimeType });
+      }
+    }
+
+    // Re-seal with the same recording key
+    return sealRecording(updated, recordKey);
+  });
+
+  if (!stored) {
+    throw createError(UPLOAD_ERRORS.UNKNOWN, 'Recording not found');
+  }
+  console.log('✏️ Local recording updated:', docId);
+  return updated;
+}
+
+/**
+ * Import a recording with existing metadata (LOCAL VERSION).
+ * Used by the archive importer: the ID and createdAt are kept
+ * when given; a taken ID rejects with `status` 409. Media is
+ * written first and rolled back if the metadata cannot be saved.
+ * @param {Blob} blob Recording media
+ * @param {Object} metadata { id?, fileName, fileType, mimeType?, createdAt? }
+ * @returns {Promise<Object>} The stored recording (without downloadURL)
+ */
+export async function importRecording(blob, metadata) {
+  if (!(blob instanceof Blob) || blob.size === 0) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Recording is empty or missing');
+  }
+
+  const docId = metadata.id || newDocId();
+  if (getStoredRecordings().some(r => r.id === docId)) {
+    throw idTakenError(docId);
+  }
+
+  const recording = {
+    id: docId,
+    fileType: metadata.fileType,
+    fileName: metadata.fileName,
+    createdAt: metadata.createdAt || serverTimestamp(),
+    size: blob.size,
+    mimeType: metadata.mimeType || blob.type,
+    contentHash: await hashBlob(blob)
+  };
+
+  const recordKey = await newRecordKey();
+  await storeMedia(docId, blob, recording.mimeType, recordKey);
+  try {
+    await addStoredItem(await sealRecording(recording, recordKey));
+  } catch (saveError) {
+    deleteRecord(MEDIA_STORE, docId).catch(() => {});
+    throw toStructuredError(saveError, 'Failed to save recording metadata');
+  }
+
+  console.log('📥 Local recording imported:', docId);
+  return recording;
+}
+
+/**
+ * Encrypt recordings that are still stored in the clear, after
+ * encryption has been set up. Each recording's media is encrypted
+ * before its metadata; the media record carries its own wrapped
+ * key, so an interruption never leaves unreadable data.
+ * @param {function} [onProgress] Called with (done, total)
+ * @returns {Promise<number>} Number of recordings encrypted
+ */
+export async function encryptStoredRecordings(onProgress) {
+  if (!isEncryptionEnabled()) {
+    throw createError(UPLOAD_ERRORS.NOT_SUPPORTED, 'Encryption is not set up');
+  }
+
+  const plaintext = getStoredRecordings().filter(r => !r.encrypted);
+  for (let i = 0; i < plaintext.length; i++) {
+    const recording = plaintext[i];
+    const recordKey = await createRecordKey();
+
+    const media = await getRecord(MEDIA_STORE, recording.id);
+    if (media && !media.encrypted && media.blob instanceof Blob) {
+      const { iv, blob: ciphertext } = await encryptBlob(recordKey.key, media.blob);
+      await putRecord(MEDIA_STORE, {
+        id: recording.id,
+        blob: ciphertext,
+        encrypted: { wrappedKey: recordKey.wrappedKey, iv },
+        size: ciphertext.size,
+        storedAt: media.storedAt
       });
     }
+
+    // Skip recordings deleted while their media was being encrypted
+    await updateStoredItem(recording.id, (current) => (
+      current.encrypted ? current : sealRecording(current, recordKey)
+    ));
+    if (onProgress) {
+      onProgress(i + 1, plaintext.length);
+    }
+  }
+
+  notifyRecordingsChanged(RECORDING_CHANGE.UPDATED, plaintext.map(r => r.id));
+  console.log('🔐 Encrypted stored recordings:', plaintext.length);
+  return plaintext.length;
+}
+
+// Repairs offered by repairStorage()
+export const REPAIR_ACTIONS = {
+  PRUNE_ORPHANS: 'pruneOrphans',   // Delete unreferenced media, legacy blob URLs and stale stored URLs
+  MARK_MISSING: 'markMissing',     // Flag recordings whose media is gone (mediaMissing: true)
+  REBUILD_INDEX: 'rebuildIndex'    // Drop duplicate entries, re-create entries for unreferenced media
+};
+
+// Media records keyed by ID (Blobs are loaded lazily by the browser)
+async function readMediaIndex() {
+  const records = await getAllRecords(MEDIA_STORE);
+  return new Map(records.map(record => [record.id, record]));
+}
+
+const hasMedia = (media, docId) => media.get(docId)?.blob instanceof Blob;
+
+/**
+ * Compare the metadata list with the stored media (LOCAL VERSION).
+ * @returns {Promise<Object>} Report:
+ *   orphanMedia    [{ id, size, encrypted }] media no recording points at
+ *   missingMedia   [{ id, fileName, marked }] recordings without readable media
+ *   staleMarks     [id] flagged as missing but the media is back
+ *   duplicateIds   [id] IDs listed more than once
+ *   staleUrls      [id] entries carrying a persisted (dead) object URL
+ *   legacyBlobEntries  count of session object URLs left in local_blobs
+ *   issueCount     total of the above
+ */
+export async function scanStorageIntegrity() {
+  const items = getStoredRecordings();
+  const media = await readMediaIndex();
+  const ids = new Set(items.map(item => item.id));
+  const graceCutoff = Date.now() - SERVICE_CONFIG.LOCAL_STORAGE.ORPHAN_GRACE_MS;
+  const legacyBlobs = safeParseJSON(localStorage.getItem(BLOB_STORAGE_KEY), {});
+
+  const seen = new Set();
+  const duplicateIds = new Set();
+  items.forEach((item) => {
+    if (seen.has(item.id)) duplicateIds.add(item.id);
+    seen.add(item.id);
   });
+
+  const report = {
+    scannedAt: serverTimestamp(),
+    recordingCount: items.length,
+    mediaCount: media.size,
+    orphanMedia: [...media.values()]
+      .filter(record => !ids.has(record.id) && !(Date.parse(record.storedAt) > graceCutoff))
+      .map(record => ({ id: record.id, size: record.size || 0, encrypted: !!record.encrypted })),
+    missingMedia: items
+      .filter(item => !hasMedia(media, item.id))
+      .map(item => ({ id: item.id, fileName: item.fileName || null, marked: !!item.mediaMissing })),
+    staleMarks: items.filter(item => item.mediaMissing && hasMedia(media, item.id)).map(item => item.id),
+    duplicateIds: [...duplicateIds],
+    staleUrls: items.filter(item => typeof item.downloadURL === 'string').map(item => item.id),
+    legacyBlobEntries: Object.keys(legacyBlobs || {}).length
+  };
+  report.issueCount = report.orphanMedia.length
+    + report.missingMedia.filter(entry => !entry.marked).length
+    + report.staleMarks.length
+    + report.duplicateIds.length
+    + report.staleUrls.length
+    + report.legacyBlobEntries;
+
+  console.log('🩺 Storage integrity scan:', report.issueCount, 'issues');
+  return report;
+}
+
+// Metadata entry for media nobody points at. The media record only
+// carries mimeType/size/storedAt, so the name is synthetic; encrypted
+// media has no readable mimeType and needs the recordings unlocked.
+async function recoverOrphan(record) {
+  const mimeType = record.encrypted ? null : record.mimeType || record.blob?.type || null;
+  const extension = mimeType?.includes('mp4') ? 'mp4' : 'webm';
+  const recording = {
+    id: record.id,
+    fileName: `recovered_${record.id}.${extension}`,
+    fileType: mimeType?.startsWith('video/') ? 'video' : 'audio',
+    mimeType,
+    createdAt: record.storedAt || serverTimestamp(),
+    size: record.encrypted ? 0 : record.size || 0,
+    recovered: true
+  };
+
+  const recordKey = record.encrypted
+    ? { key: await openRecordKey(record.encrypted.wrappedKey), wrappedKey: record.encrypted.wrappedKey }
+    : await newRecordKey();
+  return sealRecording(recording, recordKey);
+}
+
+/**
+ * Apply one repair from REPAIR_ACTIONS (LOCAL VERSION).
+ * Rebuilding skips encrypted media while the recordings are locked.
+ * @param {string} action REPAIR_ACTIONS value
+ * @returns {Promise<{ action: string, repaired: number, skipped: number, report: Object }>}
+ *   report is a fresh scan taken after the repair
+ */
+export async function repairStorage(action) {
+  const before = await scanStorageIntegrity();
+  let repaired = 0;
+  let skipped = 0;
+
+  if (action === REPAIR_ACTIONS.PRUNE_ORPHANS) {
+    for (const orphan of before.orphanMedia) {
+      await deleteRecord(MEDIA_STORE, orphan.id);
+      repaired += 1;
+    }
+    if (before.legacyBlobEntries > 0) {
+      localStorage.removeItem(BLOB_STORAGE_KEY);
+      repaired += before.legacyBlobEntries;
+    }
+    if (before.staleUrls.length > 0) {
+      await withRecordingsLock(() => {
+        saveRecordings(getStoredRecordings().map(({ downloadURL, ...item }) => item));
+      });
+      repaired += before.staleUrls.length;
+    }
+  } else if (action === REPAIR_ACTIONS.MARK_MISSING) {
+    const missing = new Set(before.missingMedia.map(entry => entry.id));
+    await withRecordingsLock(() => {
+      saveRecordings(getStoredRecordings().map((item) => {
+        const shouldMark = missing.has(item.id);
+        if (!!item.mediaMissing === shouldMark) return item;
+        repaired += 1;
+        const { mediaMissing, ...rest } = item;
+        return shouldMark ? { ...rest, mediaMissing: true } : rest;
+      }));
+    });
+  } else if (action === REPAIR_ACTIONS.REBUILD_INDEX) {
+    const media = await readMediaIndex();
+    const recovered = [];
+    for (const orphan of before.orphanMedia) {
+      if (orphan.encrypted && !getEncryptionState().unlocked) {
+        skipped += 1;
+        continue;
+      }
+      recovered.push(await recoverOrphan(media.get(orphan.id)));
+    }
+
+    await withRecordingsLock(() => {
+      // Keep the last copy of a duplicated ID: it is the latest write
+      const byId = new Map();
+      getStoredRecordings().forEach(item => byId.set(item.id, item));
+      recovered.forEach((item) => {
+        if (!byId.has(item.id)) byId.set(item.id, item);
+      });
+      saveRecordings([...byId.values()]);
+    });
+    repaired = recovered.length + before.duplicateIds.length;
+  } else {
+    throw createError(UPLOAD_ERRORS.NOT_SUPPORTED, `Unknown repair action "${action}"`);
+  }
+
+  if (repaired > 0) {
+    notifyRecordingsChanged(RECORDING_CHANGE.UPDATED);
+  }
+  console.log('🛠️ Storage repair:', action, { repaired, skipped });
+  return { action, repaired, skipped, report: await scanStorageIntegrity() };
 }
 
 // Helper function to clear all local recordings (useful for testing)
-export function clearAllLocalRecordings() {
+export async function clearAllLocalRecordings() {
   localStorage.removeItem(RECORDINGS_KEY);
   localStorage.removeItem(BLOB_STORAGE_KEY);
+  try {
+    await clearStore(MEDIA_STORE);
+  } catch (error) {
+    console.error('Storage error in clearAllLocalRecordings:', error);
+  }
+  notifyRecordingsChanged(RECORDING_CHANGE.CLEARED);
   console.log('🗑️ All local recordings cleared');
 }
 
-// Helper function to get storage stats
+// Helper function to get storage stats (totals overall and per fileType)
 export function getLocalStorageStats() {
   const recordings = getStoredRecordings();
   const totalSize = recordings.reduce((sum, r) => sum + (r.size || 0), 0);
+  const byType = {};
+  recordings.forEach((r) => {
+    // Encrypted metadata (fileType included) is not readable here
+    const type = r.encrypted ? 'encrypted' : (r.fileType || 'unknown');
+    byType[type] = byType[type] || { count: 0, totalSize: 0 };
+    byType[type].count += 1;
+    byType[type].totalSize += r.size || 0;
+  });
   
   return {
     count: recordings.length,
     totalSize,
+    byType,
     recordings
   };
 }
 
 console.log('📱 Local Recording Service: ENABLED');
-console.log('💾 Recordings will be stored in browser localStorage');
\ No newline at end of file
+console.log('💾 Recordings will be stored in browser localStorage + IndexedDB');
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * recordingChanges.js
+ * -------------------
+ * Change notifications for the recordings store, shared across
+ * every tab of the app, plus a write lock for read-modify-write
+ * updates of the local metadata list.
+ *
+ * Notifications go to listeners in this tab directly and to
+ * other tabs over a BroadcastChannel. Browsers without
+ * BroadcastChannel fall back to `storage` events, which only
+ * report local metadata writes. A change looks like:
+ *   { type: 'created' | 'updated' | 'deleted' | 'cleared', ids: [docId, ...], remote }
+ * where `remote` is true when the change was made in another tab.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+
+const { CHANNEL_NAME, LOCK_NAME } = SERVICE_CONFIG.SYNC;
+const RECORDINGS_KEY = SERVICE_CONFIG.LOCAL_STORAGE.RECORDINGS_KEY;
+
+export const RECORDING_CHANGE = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  DELETED: 'deleted',
+  CLEARED: 'cleared'
+};
+
+const listeners = new Set();
+let channel = null;
+let started = false;
+
+function emit(change) {
+  listeners.forEach((listener) => {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Error in recordings change listener:', error);
+    }
+  });
+}
+
+// Open the channel (or storage fallback) the first time it is needed
+function start() {
+  if (started) return;
+  started = true;
+
+  if (typeof BroadcastChannel === 'function') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => emit({ ...event.data, remote: true });
+    return;
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key === RECORDINGS_KEY || event.key === null) {
+      emit({ type: RECORDING_CHANGE.UPDATED, ids: [], remote: true });
+    }
+  });
+}
+
+/**
+ * Announce a change to this tab and every other open tab.
+ * @param {string} type RECORDING_CHANGE value
+ * @param {Array<string>} [ids] Affected recording IDs
+ */
+export function notifyRecordingsChanged(type, ids = []) {
+  start();
+  const change = { type, ids };
+  if (channel) {
+    channel.postMessage(change);
+  }
+  emit({ ...change, remote: false });
+}
+
+/**
+ * Listen for recording changes from any tab.
+ * @param {function} listener Called with a change object
+ * @returns {function} Unsubscribe function
+ */
+export function onRecordingsChanged(listener) {
+  start();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// In-tab fallback queue when the Web Locks API is unavailable
+let localQueue = Promise.resolve();
+
+/**
+ * Run a read-modify-write of the recordings store exclusively.
+ * Uses the Web Locks API so writers in other tabs wait too;
+ * without it, writers in this tab are still serialised. Must not
+ * be nested: the inner call would wait for the outer forever.
+ * @param {function} task Sync or async function to run under the lock
+ * @returns {Promise<*>} The task's result
+ */
+export function withRecordingsLock(task) {
+  if (navigator.locks?.request) {
+    return navigator.locks.request(LOCK_NAME, () => task());
+  }
+  const run = localQueue.then(() => task());
+  localQueue = run.catch(() => {});
+  return run;
+}
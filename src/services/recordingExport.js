@@ -0,0 +1,144 @@
+/**
+ * recordingExport.js
+ * ------------------
+ * Client-side export of every recording as one ZIP archive:
+ *
+ *   manifest.json          metadata for each recording
+ *   media/<fileName>       the recording media
+ *
+ * Works with any backend: media is read through each
+ * recording's downloadURL from fetchRecording(). Recordings
+ * whose media cannot be read are still listed in the manifest
+ * with `path: null` and an `error`. With the local backend,
+ * exported recordings are stamped `syncedAt`, which retention
+ * rules (services/retentionPolicy.js) rely on.
+ */
+
+import { createZip } from '../utils/zipWriter';
+import { createError, toStructuredError, UPLOAD_ERRORS } from '../utils/errors';
+import {
+  fetchAllRecordings,
+  fetchRecording,
+  getActiveStorageType,
+  markRecordingsSynced
+} from './recordingService';
+import { recordingTimestamp } from './recordingQuery';
+
+export const EXPORT_MANIFEST_VERSION = 1;
+
+// Manifest fields copied from each recording
+const MANIFEST_FIELDS = ['id', 'fileName', 'fileType', 'mimeType', 'size', 'contentHash', 'createdAt'];
+
+// Archive path for a recording: its file name, made unique and path-safe
+function mediaPath(recording, usedPaths) {
+  const safeName = (recording.fileName || recording.id).replace(/[\\/:*?"<>|]+/g, '_');
+  let path = `media/${safeName}`;
+  if (usedPaths.has(path)) {
+    path = `media/${recording.id}_${safeName}`;
+  }
+  usedPaths.add(path);
+  return path;
+}
+
+/**
+ * Download a recording's media from the active backend as a Blob,
+ * releasing blob: URLs afterwards.
+ * @param {string} docId Recording ID
+ * @returns {Promise<{ recording: Object, blob: Blob }>}
+ */
+export async function readRecordingMedia(docId) {
+  const recording = await fetchRecording(docId);
+  if (!recording?.downloadURL) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Recording media not found');
+  }
+
+  try {
+    const response = await fetch(recording.downloadURL);
+    if (!response.ok) {
+      throw createError(UPLOAD_ERRORS.NETWORK_ERROR, `Media request failed (${response.status})`);
+    }
+    return { recording, blob: await response.blob() };
+  } finally {
+    if (recording.downloadURL.startsWith('blob:')) {
+      URL.revokeObjectURL(recording.downloadURL);
+    }
+  }
+}
+
+/**
+ * Build a ZIP of all recordings and their manifest.
+ * @param {Object} [options]
+ * @param {function} [options.onProgress] Called with (done, total) while media is read
+ * @returns {Promise<{ blob: Blob, manifest: Object }>}
+ */
+export async function exportRecordingsZip({ onProgress } = {}) {
+  try {
+    const recordings = await fetchAllRecordings();
+    const usedPaths = new Set();
+    const entries = [];
+    const manifestRecordings = [];
+
+    for (let i = 0; i < recordings.length; i++) {
+      const recording = recordings[i];
+      const metadata = {};
+      MANIFEST_FIELDS.forEach((field) => {
+        metadata[field] = recording[field] ?? null;
+      });
+
+      try {
+        const { blob: media } = await readRecordingMedia(recording.id);
+        const path = mediaPath(recording, usedPaths);
+        const timestamp = recordingTimestamp(recording);
+        entries.push({ name: path, data: media, lastModified: timestamp ? new Date(timestamp) : undefined });
+        manifestRecordings.push({ ...metadata, path });
+      } catch (error) {
+        console.warn('Export: media unavailable for', recording.id, error);
+        manifestRecordings.push({ ...metadata, path: null, error: toStructuredError(error).message });
+      }
+
+      if (onProgress) {
+        onProgress(i + 1, recordings.length);
+      }
+    }
+
+    const manifest = {
+      manifestVersion: EXPORT_MANIFEST_VERSION,
+      exportedAt: new Date().toISOString(),
+      storageType: getActiveStorageType(),
+      count: manifestRecordings.length,
+      recordings: manifestRecordings
+    };
+    entries.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+    const blob = await createZip(entries);
+
+    try {
+      await markRecordingsSynced(manifestRecordings.filter((rec) => rec.path).map((rec) => rec.id));
+    } catch (error) {
+      // The archive is still good; those recordings just stay unsynced
+      console.warn('Export: could not mark recordings as synced', error);
+    }
+    console.log('📦 Export ready:', manifest.count, 'recordings,', blob.size, 'bytes');
+    return { blob, manifest };
+  } catch (error) {
+    console.error('Error in exportRecordingsZip:', error);
+    throw toStructuredError(error, 'Failed to export recordings');
+  }
+}
+
+/**
+ * Save a Blob through the browser's download prompt.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
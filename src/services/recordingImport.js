@@ -0,0 +1,159 @@
+/**
+ * recordingImport.js
+ * ------------------
+ * Imports a ZIP produced by recordingExport.js into the active
+ * storage backend. Every manifest entry is validated (metadata
+ * shape, media present, size and checksum) before anything is
+ * written. Recordings whose ID already exists are skipped or
+ * stored under a new ID, depending on `onDuplicate`. Recordings
+ * whose media is already stored (same SHA-256, any ID) are either
+ * linked to the existing one instead of being copied again
+ * (reported as `linked`) or imported anyway, depending on
+ * `onSameMedia`.
+ */
+
+import { readZip } from '../utils/zipReader';
+import { createError, toStructuredError, UPLOAD_ERRORS } from '../utils/errors';
+import { fetchAllRecordings, importRecording } from './recordingService';
+import { EXPORT_MANIFEST_VERSION } from './recordingExport';
+import { hashBlob } from './contentHash';
+
+export const DUPLICATE_STRATEGY = {
+  SKIP: 'skip',
+  RENAME: 'rename'
+};
+
+// What to do with an entry whose media is already stored
+export const SAME_MEDIA_STRATEGY = {
+  LINK: 'link',
+  COPY: 'copy'
+};
+
+const FILE_TYPES = ['audio', 'video'];
+
+// Problems with a manifest entry's metadata, as human-readable strings
+function validateEntry(entry, zipEntries) {
+  const problems = [];
+  if (!entry || typeof entry !== 'object') {
+    return ['entry is not an object'];
+  }
+  if (typeof entry.id !== 'string' || !entry.id) problems.push('missing id');
+  if (typeof entry.fileName !== 'string' || !entry.fileName.trim()) problems.push('missing fileName');
+  if (!FILE_TYPES.includes(entry.fileType)) problems.push('fileType must be audio or video');
+  if (entry.mimeType != null && typeof entry.mimeType !== 'string') problems.push('invalid mimeType');
+  if (entry.createdAt != null && Number.isNaN(new Date(entry.createdAt).getTime())) problems.push('invalid createdAt');
+  if (!entry.path) {
+    problems.push('no media in archive');
+  } else if (!zipEntries.has(entry.path)) {
+    problems.push(`media file ${entry.path} is missing`);
+  } else if (entry.size != null && zipEntries.get(entry.path).size !== entry.size) {
+    problems.push('media size does not match the manifest');
+  }
+  return problems;
+}
+
+// Read and check manifest.json
+async function readManifest(zipEntries) {
+  const manifestEntry = zipEntries.get('manifest.json');
+  if (!manifestEntry) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'The archive has no manifest.json');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await (await manifestEntry.read()).text());
+  } catch (err) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'manifest.json is not valid JSON', err);
+  }
+  if (!manifest || !Array.isArray(manifest.recordings)) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'manifest.json has no recordings list');
+  }
+  if (manifest.manifestVersion > EXPORT_MANIFEST_VERSION) {
+    throw createError(UPLOAD_ERRORS.NOT_SUPPORTED, 'This archive was made by a newer version of the app');
+  }
+  return manifest;
+}
+
+/**
+ * Import a recordings archive into the active backend.
+ * @param {Blob} file ZIP archive (from the export)
+ * @param {Object} [options]
+ * @param {string} [options.onDuplicate] DUPLICATE_STRATEGY value (default skip)
+ * @param {string} [options.onSameMedia] SAME_MEDIA_STRATEGY value (default link)
+ * @param {function} [options.onProgress] Called with (done, total)
+ * @returns {Promise<{ imported: Array, linked: Array, skipped: Array, failed: Array }>}
+ *   imported/linked: { id, originalId, fileName }; skipped/failed: { id, fileName, reason }
+ */
+export async function importRecordingsArchive(file, {
+  onDuplicate = DUPLICATE_STRATEGY.SKIP,
+  onSameMedia = SAME_MEDIA_STRATEGY.LINK,
+  onProgress
+} = {}) {
+  let zipEntries;
+  try {
+    zipEntries = await readZip(file);
+  } catch (err) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, err.message, err);
+  }
+  const manifest = await readManifest(zipEntries);
+
+  const existing = await fetchAllRecordings();
+  const knownIds = new Set(existing.map((rec) => rec.id));
+  // Recordings saved before content hashing have no contentHash
+  const knownHashes = new Map(
+    existing.filter((rec) => rec.contentHash).map((rec) => [rec.contentHash, rec.id])
+  );
+  const report = { imported: [], linked: [], skipped: [], failed: [] };
+  const total = manifest.recordings.length;
+
+  for (let i = 0; i < total; i++) {
+    const entry = manifest.recordings[i];
+    const label = { id: entry?.id ?? null, fileName: entry?.fileName ?? null };
+
+    const problems = validateEntry(entry, zipEntries);
+    if (problems.length > 0) {
+      report.failed.push({ ...label, reason: problems.join(', ') });
+    } else if (knownIds.has(entry.id) && onDuplicate !== DUPLICATE_STRATEGY.RENAME) {
+      report.skipped.push({ ...label, reason: 'a recording with this ID already exists' });
+    } else {
+      try {
+        const media = await zipEntries.get(entry.path).read();
+        const contentHash = await hashBlob(media);
+        if (entry.contentHash && entry.contentHash !== contentHash) {
+          throw createError(UPLOAD_ERRORS.INVALID_FILE, 'media does not match its content hash');
+        }
+        if (knownHashes.has(contentHash) && onSameMedia === SAME_MEDIA_STRATEGY.LINK) {
+          // Same media already stored under another ID: point at it instead of copying
+          report.linked.push({ id: knownHashes.get(contentHash), originalId: entry.id, fileName: entry.fileName });
+        } else {
+          const stored = await importRecording(media, {
+            // Duplicates get a fresh ID from the backend
+            id: knownIds.has(entry.id) ? undefined : entry.id,
+            fileName: entry.fileName,
+            fileType: entry.fileType,
+            mimeType: entry.mimeType || media.type,
+            createdAt: entry.createdAt || undefined
+          });
+          knownIds.add(stored.id);
+          knownHashes.set(contentHash, stored.id);
+          report.imported.push({ id: stored.id, originalId: entry.id, fileName: entry.fileName });
+        }
+      } catch (error) {
+        console.error('Import failed for', entry.id, error);
+        report.failed.push({ ...label, reason: error.message || toStructuredError(error).message });
+      }
+    }
+
+    if (onProgress) {
+      onProgress(i + 1, total);
+    }
+  }
+
+  console.log('📥 Import finished:', {
+    imported: report.imported.length,
+    linked: report.linked.length,
+    skipped: report.skipped.length,
+    failed: report.failed.length
+  });
+  return report;
+}
@@ -0,0 +1,149 @@
+/**
+ * recordingQuery.js
+ * -----------------
+ * Backend-independent query helpers for queryRecordings():
+ * parameter normalisation, the opaque keyset cursor and an
+ * in-memory implementation used by backends that hold the
+ * full metadata list (the local backend). The stand-in server
+ * in server/recordingServer.js follows the same semantics.
+ *
+ * Query parameters:
+ *   fileType  'audio' | 'video'      (omit for both)
+ *   from      Date | ISO string      inclusive lower bound on createdAt
+ *   to        Date | ISO string      exclusive upper bound on createdAt
+ *   sort      'newest' | 'oldest'    (default 'newest')
+ *   limit     page size              (default/max from SERVICE_CONFIG.QUERY)
+ *   cursor    nextCursor from the previous page
+ *
+ * Result: { items, nextCursor } where nextCursor is null on the
+ * last page.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+
+const QUERY_CONFIG = SERVICE_CONFIG.QUERY;
+
+export const QUERY_SORT = {
+  NEWEST: 'newest',
+  OLDEST: 'oldest'
+};
+
+const FILE_TYPES = ['audio', 'video'];
+
+// Parse a Date/ISO bound into epoch milliseconds (null when absent)
+function toMillis(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const millis = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (Number.isNaN(millis)) {
+    throw createError(UPLOAD_ERRORS.UNKNOWN, `Invalid "${name}" date`);
+  }
+  return millis;
+}
+
+/**
+ * Best-effort creation time of a recording in epoch milliseconds.
+ * Uses createdAt (ISO string or Firestore timestamp) and falls back
+ * to the "YYYY-MM-DD_HHMMSS_type.ext" file name; 0 when unknown.
+ * @param {Object} recording
+ * @returns {number}
+ */
+export function recordingTimestamp(recording) {
+  const { createdAt, fileName } = recording || {};
+  if (createdAt?.toDate) {
+    return createdAt.toDate().getTime();
+  }
+  if (createdAt) {
+    const millis = new Date(createdAt).getTime();
+    if (!Number.isNaN(millis)) return millis;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})_(\d{2})(\d{2})(\d{2})/.exec(fileName || '');
+  if (match) {
+    const [, yr, mo, dy, hh, mm, ss] = match.map(Number);
+    return new Date(yr, mo - 1, dy, hh, mm, ss).getTime();
+  }
+  return 0;
+}
+
+/**
+ * Encode the position of the last item on a page.
+ * @param {Object} recording Last item returned
+ * @returns {string}
+ */
+export function encodeCursor(recording) {
+  return btoa(JSON.stringify({ t: recordingTimestamp(recording), id: recording.id }));
+}
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {string} cursor
+ * @returns {{ t: number, id: string }|null}
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const position = JSON.parse(atob(cursor));
+    if (typeof position.t === 'number' && typeof position.id === 'string') {
+      return position;
+    }
+  } catch (err) {
+    // Fall through to the structured error below
+  }
+  throw createError(UPLOAD_ERRORS.UNKNOWN, 'Invalid query cursor');
+}
+
+/**
+ * Validate query parameters and apply defaults.
+ * @param {Object} [params] See the file header
+ * @returns {Object} { fileType, from, to, sort, limit, cursor } with
+ *   from/to in epoch milliseconds and cursor decoded
+ */
+export function normalizeQuery({ fileType, from, to, sort, limit, cursor } = {}) {
+  const size = Number(limit) || QUERY_CONFIG.DEFAULT_LIMIT;
+  return {
+    fileType: FILE_TYPES.includes(fileType) ? fileType : null,
+    from: toMillis(from, 'from'),
+    to: toMillis(to, 'to'),
+    sort: sort === QUERY_SORT.OLDEST ? QUERY_SORT.OLDEST : QUERY_SORT.NEWEST,
+    limit: Math.min(Math.max(Math.floor(size), 1), QUERY_CONFIG.MAX_LIMIT),
+    cursor: decodeCursor(cursor)
+  };
+}
+
+/**
+ * Run a query against an in-memory list of recordings.
+ * Ordering is by creation time, then ID, so pages are stable
+ * even when several recordings share a timestamp.
+ * @param {Array<Object>} recordings Full metadata list
+ * @param {Object} [params] See the file header
+ * @returns {{ items: Array<Object>, nextCursor: string|null }}
+ */
+export function queryRecordingList(recordings, params) {
+  const query = normalizeQuery(params);
+  const direction = query.sort === QUERY_SORT.OLDEST ? 1 : -1;
+
+  // Positive when a sorts after b in the requested order
+  const compare = (a, b) => {
+    if (a.t !== b.t) return (a.t - b.t) * direction;
+    return a.id.localeCompare(b.id) * direction;
+  };
+
+  const matches = recordings
+    .map((recording) => ({ recording, t: recordingTimestamp(recording), id: String(recording.id) }))
+    .filter(({ recording, t }) => {
+      if (query.fileType && recording.fileType !== query.fileType) return false;
+      if (query.from !== null && t < query.from) return false;
+      if (query.to !== null && t >= query.to) return false;
+      return true;
+    })
+    .filter((entry) => !query.cursor || compare(entry, query.cursor) > 0)
+    .sort(compare);
+
+  const items = matches.slice(0, query.limit).map(({ recording }) => recording);
+  const nextCursor = matches.length > query.limit
+    ? encodeCursor(items[items.length - 1])
+    : null;
+
+  return { items, nextCursor };
+}
@@ -0,0 +1,265 @@
+/**
+ * recordingService.js
+ * -------------------
+ * Storage-agnostic entry point for recording persistence.
+ * Pages and utilities import from here instead of a concrete
+ * backend, so a server backend can be swapped in without
+ * touching the UI. The active backend is selected at startup
+ * from ENV_CONFIG.STORAGE_TYPE.
+ *
+ * Backend interface (RECORDING_SERVICE_METHODS; all return promises):
+ *   fetchRecording(docId)            => recording object or null
+ *   fetchAllRecordings()             => array of recording objects
+ *   queryRecordings(params)          => { items, nextCursor|null }
+ *                                    see services/recordingQuery.js for params
+ *   findRecordingByHash(contentHash) => recording object or null
+ *   uploadRecording(blob, fileName, fileType, onProgress, actualMimeType, { signal, contentHash })
+ *                                    => { docId, downloadURL|null }
+ *                                    rejects with CANCELLED when signal aborts
+ *   deleteRecording(docId)           => void
+ *   updateRecording(docId, patch)    => updated recording object
+ *   importRecording(blob, metadata)  => stored recording object
+ *                                    keeps metadata.id where it can
+ * Missing methods reject with NOT_SUPPORTED (registerRecordingBackend).
+ *
+ * Successful writes made through this module are announced to
+ * every open tab; subscribe with onRecordingsChanged().
+ */
+
+import { ENV_CONFIG } from '../config';
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+import * as localRecordingService from './localRecordingService';
+import * as httpRecordingService from './httpRecordingService';
+import { notifyRecordingsChanged, RECORDING_CHANGE } from './recordingChanges';
+
+export { onRecordingsChanged, RECORDING_CHANGE } from './recordingChanges';
+
+// Method names every backend is expected to provide
+export const RECORDING_SERVICE_METHODS = [
+  'fetchRecording',
+  'fetchAllRecordings',
+  'queryRecordings',
+  'findRecordingByHash',
+  'uploadRecording',
+  'deleteRecording',
+  'updateRecording',
+  'importRecording'
+];
+
+// Registry of available backends, keyed by STORAGE_TYPE value
+const backends = {};
+
+// Backend used when STORAGE_TYPE names an unknown backend
+const DEFAULT_STORAGE_TYPE = 'local';
+
+/**
+ * Register a storage backend under a STORAGE_TYPE name.
+ * Methods the backend does not implement reject with NOT_SUPPORTED.
+ * @param {string} name Backend name (e.g. 'local')
+ * @param {Object} backend Object implementing the recording service interface
+ */
+export function registerRecordingBackend(name, backend) {
+  if (!name || typeof name !== 'string' || !backend) {
+    throw new Error('registerRecordingBackend requires a name and a backend object');
+  }
+
+  const normalized = {};
+  RECORDING_SERVICE_METHODS.forEach((method) => {
+    normalized[method] = typeof backend[method] === 'function'
+      ? backend[method]
+      : () => Promise.reject(createError(
+          UPLOAD_ERRORS.NOT_SUPPORTED,
+          `Storage backend "${name}" does not support ${method}`
+        ));
+  });
+
+  backends[name] = normalized;
+}
+
+/**
+ * List the names of all registered backends.
+ * @returns {Array<string>}
+ */
+export function getRegisteredBackends() {
+  return Object.keys(backends);
+}
+
+// Built-in backends
+registerRecordingBackend('local', localRecordingService);
+registerRecordingBackend('http', httpRecordingService);
+
+// Active backend name, resolved on first use so backends registered
+// during app startup (before any recording call) can be selected
+let activeStorageType = null;
+
+function resolveActiveBackend() {
+  const requested = ENV_CONFIG.STORAGE_TYPE;
+  if (backends[requested]) {
+    return requested;
+  }
+  console.warn(
+    `Unknown STORAGE_TYPE "${requested}", falling back to "${DEFAULT_STORAGE_TYPE}". ` +
+    `Available: ${getRegisteredBackends().join(', ')}`
+  );
+  return DEFAULT_STORAGE_TYPE;
+}
+
+/**
+ * Name of the backend selected for this session.
+ * @returns {string}
+ */
+export function getActiveStorageType() {
+  if (!activeStorageType) {
+    activeStorageType = resolveActiveBackend();
+    console.log(`🗄️ Recording storage backend: ${activeStorageType}`);
+  }
+  return activeStorageType;
+}
+
+/**
+ * The backend object selected for this session.
+ * @returns {Object}
+ */
+export function getRecordingBackend() {
+  return backends[getActiveStorageType()];
+}
+
+// ----------------------------------------------------------
+// Public service API - delegates to the active backend
+// ----------------------------------------------------------
+
+/**
+ * Fetch a single recording document by ID.
+ * @param {string} docId Recording ID
+ * @returns {Promise<Object|null>}
+ */
+export function fetchRecording(docId) {
+  return getRecordingBackend().fetchRecording(docId);
+}
+
+/**
+ * Fetch all recordings.
+ * @returns {Promise<Array>}
+ */
+export function fetchAllRecordings() {
+  return getRecordingBackend().fetchAllRecordings();
+}
+
+/**
+ * Query recordings with filtering, sorting and cursor pagination.
+ * See services/recordingQuery.js for the parameters.
+ * @param {Object} [params] { fileType, from, to, sort, limit, cursor }
+ * @returns {Promise<{ items: Array, nextCursor: string|null }>}
+ */
+export function queryRecordings(params = {}) {
+  return getRecordingBackend().queryRecordings(params);
+}
+
+/**
+ * Find a recording whose media has the given SHA-256.
+ * @param {string} contentHash Lowercase hex SHA-256 (see services/contentHash.js)
+ * @returns {Promise<Object|null>} The matching recording, or null
+ */
+export function findRecordingByHash(contentHash) {
+  return getRecordingBackend().findRecordingByHash(contentHash);
+}
+
+/**
+ * Upload a recording blob.
+ * @param {Blob} blob The recording blob
+ * @param {string} fileName The desired file name
+ * @param {string} fileType 'audio' or 'video'
+ * @param {function} onProgress Upload progress callback (fraction 0..1)
+ * @param {string} [actualMimeType] Actual mime type from MediaRecorder
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] Aborts the upload (rejects with CANCELLED)
+ * @param {string} [options.contentHash] Precomputed SHA-256 of the blob
+ * @returns {Promise<{ docId: string, downloadURL: string|null }>} downloadURL may be null
+ *   (local backend); use fetchRecording() for a playable URL
+ */
+export async function uploadRecording(blob, fileName, fileType, onProgress, actualMimeType, options = {}) {
+  const result = await getRecordingBackend().uploadRecording(
+    blob, fileName, fileType, onProgress, actualMimeType, options
+  );
+  notifyRecordingsChanged(RECORDING_CHANGE.CREATED, [result.docId]);
+  return result;
+}
+
+/**
+ * Delete a recording and its media.
+ * @param {string} docId Recording ID
+ * @returns {Promise<void>}
+ */
+export async function deleteRecording(docId) {
+  await getRecordingBackend().deleteRecording(docId);
+  notifyRecordingsChanged(RECORDING_CHANGE.DELETED, [docId]);
+}
+
+/**
+ * Update a recording's metadata.
+ * @param {string} docId Recording ID
+ * @param {Object} patch Fields to change
+ * @returns {Promise<Object>} The updated recording
+ */
+export async function updateRecording(docId, patch) {
+  const updated = await getRecordingBackend().updateRecording(docId, patch);
+  notifyRecordingsChanged(RECORDING_CHANGE.UPDATED, [docId]);
+  return updated;
+}
+
+/**
+ * Store a recording with existing metadata (archive import).
+ * Backends keep the given ID where they can.
+ * @param {Blob} blob Recording media
+ * @param {Object} metadata { id?, fileName, fileType, mimeType?, createdAt? }
+ * @returns {Promise<Object>} The stored recording
+ */
+export async function importRecording(blob, metadata) {
+  const stored = await getRecordingBackend().importRecording(blob, metadata);
+  notifyRecordingsChanged(RECORDING_CHANGE.CREATED, [stored.id]);
+  return stored;
+}
+
+// ----------------------------------------------------------
+// Device-local extras - only the local backend keeps recordings
+// on this device; other backends get neutral results
+// ----------------------------------------------------------
+
+/**
+ * Count and size of the recordings stored on this device.
+ * @returns {{ count: number, totalSize: number, byType: Object }}
+ *   byType maps a fileType (or 'encrypted') to { count, totalSize }
+ */
+export function getDeviceStorageStats() {
+  if (getActiveStorageType() !== 'local') {
+    return { count: 0, totalSize: 0, byType: {} };
+  }
+  const { count, totalSize, byType } = localRecordingService.getLocalStorageStats();
+  return { count, totalSize, byType };
+}
+
+/**
+ * Recordings on this device that can be read right now. Works
+ * while locked: encrypted recordings are then only counted.
+ * @returns {Promise<{ recordings: Array, unreadable: number }>}
+ */
+export async function readDeviceRecordings() {
+  if (getActiveStorageType() !== 'local') {
+    return { recordings: [], unreadable: 0 };
+  }
+  return localRecordingService.readAvailableRecordings();
+}
+
+/**
+ * Stamp recordings as synced (copied off this device, e.g. by an
+ * export) so retention rules may remove them. A no-op for backends
+ * that don't keep recordings on the device.
+ * @param {Array<string>} docIds Recording IDs
+ * @returns {Promise<void>}
+ */
+export async function markRecordingsSynced(docIds) {
+  if (getActiveStorageType() !== 'local') {
+    return;
+  }
+  await localRecordingService.markRecordingsSynced(docIds);
+}
@@ -0,0 +1,261 @@
+/**
+ * recordingSessions.js
+ * --------------------
+ * Crash-safe storage for the take being recorded. MediaRecorder
+ * hands over a chunk every TIMESLICE_MS and each chunk is written
+ * to the IndexedDB `sessionChunks` store as it arrives, so a tab
+ * crash, reload or phone lock loses at most the last second.
+ * The session stays on disk until its take is uploaded, queued
+ * or discarded; on the next load an unfinished session can be
+ * assembled again and recovered into the review stage.
+ *
+ * The tab that owns a session holds a Web Lock for it, so other
+ * open tabs don't offer to recover a take that is still being
+ * recorded. With encryption set up, chunks are sealed with a
+ * per-session key (services/encryption.js) and recovering them
+ * needs the recordings unlocked.
+ *
+ * Writes for a session run one after another in call order;
+ * failures are logged and never interrupt the recording, which
+ * is still held in memory as well.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+import { getRecord, getAllRecords, getAllKeys, putRecord, deleteRecord } from './indexedDbStore';
+import {
+  isEncryptionEnabled,
+  createRecordKey,
+  openRecordKey,
+  encryptBlob,
+  decryptBlob
+} from './encryption';
+
+const { STORES } = SERVICE_CONFIG.LOCAL_STORAGE.INDEXED_DB;
+const SESSION_STORE = STORES.RECORDING_SESSIONS;
+const CHUNK_STORE = STORES.SESSION_CHUNKS;
+const SESSION_CONFIG = SERVICE_CONFIG.RECORDING_SESSIONS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session ID => pending writes, chunk key and lock release for sessions owned by this tab
+const writeChains = new Map();
+const sessionKeys = new Map();
+const lockReleases = new Map();
+
+const newSessionId = () => 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+// Chunk keys sort in recording order within a session
+const chunkId = (sessionId, seq) => `${sessionId}:${String(seq).padStart(6, '0')}`;
+const lockName = (sessionId) => SESSION_CONFIG.LOCK_PREFIX + sessionId;
+
+// Queue a write behind the session's earlier ones
+function enqueueWrite(sessionId, task, description) {
+  const previous = writeChains.get(sessionId) || Promise.resolve();
+  const next = previous.then(task).catch((error) => {
+    console.warn(`Recording session ${description} failed:`, error);
+  });
+  writeChains.set(sessionId, next);
+  return next;
+}
+
+// Hold the session's lock until releaseSessionLock
+function holdSessionLock(sessionId) {
+  if (!navigator.locks?.request || lockReleases.has(sessionId)) {
+    return;
+  }
+  navigator.locks.request(lockName(sessionId), () => new Promise((resolve) => {
+    lockReleases.set(sessionId, resolve);
+  })).catch((error) => console.warn('Recording session lock failed:', error));
+}
+
+function releaseSessionLock(sessionId) {
+  lockReleases.get(sessionId)?.();
+  lockReleases.delete(sessionId);
+}
+
+// Sessions some open tab (this one included) is still working on
+async function heldSessionIds() {
+  const ids = new Set(lockReleases.keys());
+  if (navigator.locks?.query) {
+    const { held = [] } = await navigator.locks.query();
+    held
+      .filter((lock) => lock.name?.startsWith(SESSION_CONFIG.LOCK_PREFIX))
+      .forEach((lock) => ids.add(lock.name.slice(SESSION_CONFIG.LOCK_PREFIX.length)));
+  }
+  return ids;
+}
+
+async function getSessionChunkKeys(sessionId) {
+  const keys = await getAllKeys(CHUNK_STORE);
+  return keys.filter((key) => key.startsWith(`${sessionId}:`)).sort();
+}
+
+async function deleteSessionRecords(sessionId) {
+  const keys = await getSessionChunkKeys(sessionId);
+  for (const key of keys) {
+    await deleteRecord(CHUNK_STORE, key);
+  }
+  await deleteRecord(SESSION_STORE, sessionId);
+}
+
+/**
+ * Start persisting a new take. Returns at once; the session record
+ * is written in the background ahead of the first chunk.
+ * @param {Object} meta { captureMode, mimeType }
+ * @returns {string} Session ID
+ */
+export function beginRecordingSession({ captureMode, mimeType }) {
+  const id = newSessionId();
+  holdSessionLock(id);
+
+  enqueueWrite(id, async () => {
+    let wrappedKey = null;
+    if (isEncryptionEnabled()) {
+      const record = await createRecordKey();
+      sessionKeys.set(id, record.key);
+      wrappedKey = record.wrappedKey;
+    }
+    await putRecord(SESSION_STORE, {
+      id,
+      captureMode,
+      mimeType,
+      startedAt: new Date().toISOString(),
+      wrappedKey
+    });
+    console.log('💽 Recording session started:', id);
+  }, 'start');
+
+  return id;
+}
+
+/**
+ * Persist one chunk from MediaRecorder's dataavailable event.
+ * @param {string} sessionId From beginRecordingSession
+ * @param {number} seq Position of the chunk in the take (0-based)
+ * @param {Blob} blob Chunk data
+ * @returns {Promise<void>} Settles once written (never rejects)
+ */
+export function appendSessionChunk(sessionId, seq, blob) {
+  return enqueueWrite(sessionId, async () => {
+    const record = { id: chunkId(sessionId, seq), sessionId, seq, size: blob.size };
+    const key = sessionKeys.get(sessionId);
+    if (key) {
+      const sealed = await encryptBlob(key, blob);
+      await putRecord(CHUNK_STORE, { ...record, blob: sealed.blob, iv: sealed.iv });
+    } else {
+      await putRecord(CHUNK_STORE, { ...record, blob });
+    }
+  }, `chunk ${seq}`);
+}
+
+/**
+ * Remove a session and its chunks, once its take has been uploaded,
+ * queued or discarded. Runs after any writes still pending.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+export async function discardRecordingSession(sessionId) {
+  if (!sessionId) {
+    return;
+  }
+  await enqueueWrite(sessionId, () => deleteSessionRecords(sessionId), 'cleanup');
+  writeChains.delete(sessionId);
+  sessionKeys.delete(sessionId);
+  releaseSessionLock(sessionId);
+  console.log('💽 Recording session closed:', sessionId);
+}
+
+/**
+ * Let go of a session without deleting it (e.g. the recording page
+ * unmounted while a take was still unsaved), so it is offered for
+ * recovery again.
+ * @param {string} sessionId
+ */
+export function suspendRecordingSession(sessionId) {
+  if (!sessionId) {
+    return;
+  }
+  const pending = writeChains.get(sessionId) || Promise.resolve();
+  pending.then(() => {
+    writeChains.delete(sessionId);
+    sessionKeys.delete(sessionId);
+    releaseSessionLock(sessionId);
+  });
+}
+
+/**
+ * Sessions left behind by a crash or reload, newest first. Sessions
+ * held by an open tab are skipped; empty sessions and those older
+ * than MAX_AGE_DAYS are deleted.
+ * @returns {Promise<Array<Object>>} { id, captureMode, mimeType, startedAt, chunkCount, size, encrypted }
+ */
+export async function listUnfinishedSessions() {
+  const [sessions, chunks, held] = await Promise.all([
+    getAllRecords(SESSION_STORE),
+    getAllRecords(CHUNK_STORE),
+    heldSessionIds()
+  ]);
+  const oldest = Date.now() - SESSION_CONFIG.MAX_AGE_DAYS * DAY_MS;
+
+  const unfinished = [];
+  for (const session of sessions) {
+    if (held.has(session.id)) {
+      continue;
+    }
+    const own = chunks.filter((chunk) => chunk.sessionId === session.id);
+    if (own.length === 0 || !(Date.parse(session.startedAt) > oldest)) {
+      await deleteSessionRecords(session.id);
+      continue;
+    }
+    unfinished.push({
+      id: session.id,
+      captureMode: session.captureMode,
+      mimeType: session.mimeType,
+      startedAt: session.startedAt,
+      chunkCount: own.length,
+      size: own.reduce((total, chunk) => total + (chunk.size || 0), 0),
+      encrypted: Boolean(session.wrappedKey)
+    });
+  }
+
+  // Chunks whose session record never made it to disk
+  const known = new Set(sessions.map((session) => session.id));
+  const strays = chunks.filter((chunk) => !known.has(chunk.sessionId) && !held.has(chunk.sessionId));
+  for (const chunk of strays) {
+    await deleteRecord(CHUNK_STORE, chunk.id);
+  }
+
+  return unfinished.sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+}
+
+/**
+ * Assemble an unfinished session's take and claim it for this tab.
+ * The session stays on disk until discardRecordingSession.
+ * @param {string} sessionId
+ * @returns {Promise<{ sessionId: string, captureMode: string, mimeType: string, blob: Blob }>}
+ */
+export async function recoverRecordingSession(sessionId) {
+  const session = await getRecord(SESSION_STORE, sessionId);
+  if (!session) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Unfinished recording not found');
+  }
+  const key = session.wrappedKey ? await openRecordKey(session.wrappedKey) : null;
+
+  const parts = [];
+  for (const id of await getSessionChunkKeys(sessionId)) {
+    const chunk = await getRecord(CHUNK_STORE, id);
+    parts.push(key ? await decryptBlob(key, chunk.iv, chunk.blob) : chunk.blob);
+  }
+  if (parts.length === 0) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Unfinished recording has no data');
+  }
+
+  holdSessionLock(sessionId);
+  console.log('💽 Recording session recovered:', sessionId, parts.length, 'chunks');
+  return {
+    sessionId,
+    captureMode: session.captureMode,
+    mimeType: session.mimeType,
+    blob: new Blob(parts, { type: session.mimeType || '' })
+  };
+}
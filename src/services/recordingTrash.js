@@ -0,0 +1,215 @@
+/**
+ * recordingTrash.js
+ * -----------------
+ * Trash for recordings deleted in the admin or by retention
+ * rules, and takes thrown away with "Start Over". Trashed media is kept in the IndexedDB
+ * `trash` store on this device, whatever the active backend,
+ * and goes back through importRecording() when restored. Items
+ * older than SERVICE_CONFIG.TRASH.RETENTION_DAYS are removed by
+ * purgeExpiredTrash(), which runs at startup and whenever the
+ * trash is listed.
+ *
+ * With encryption set up, trashed metadata and media are sealed
+ * with a per-item key like local recordings (services/encryption.js),
+ * so listing and restoring them needs the recordings unlocked.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+import { getRecord, getAllRecords, putRecord, deleteRecord, clearStore } from './indexedDbStore';
+import { deleteRecording, importRecording } from './recordingService';
+import { readRecordingMedia } from './recordingExport';
+import { ensureStorageAvailable } from './storageQuota';
+import {
+  isEncryptionEnabled,
+  createRecordKey,
+  openRecordKey,
+  encryptJson,
+  decryptJson,
+  encryptBlob,
+  decryptBlob
+} from './encryption';
+
+export const TRASH_SOURCE = {
+  DELETED: 'deleted',     // Saved recording deleted from the admin
+  DISCARDED: 'discarded', // Take thrown away before it was saved
+  RETENTION: 'retention'  // Removed by a retention rule (services/retentionPolicy.js)
+};
+
+const TRASH_STORE = SERVICE_CONFIG.LOCAL_STORAGE.INDEXED_DB.STORES.TRASH;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recording metadata kept with a trashed item
+const TRASHED_FIELDS = ['id', 'fileName', 'fileType', 'mimeType', 'createdAt'];
+
+const newTrashId = () => 'trash_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+// Expiry is derived from the current setting, so changing the
+// retention period also applies to items already in the trash
+const expiresAt = (item) => Date.parse(item.trashedAt) + SERVICE_CONFIG.TRASH.RETENTION_DAYS * DAY_MS;
+
+// Store one trash item, sealing it when encryption is on
+async function putTrashItem(source, recording, blob) {
+  await ensureStorageAvailable(blob.size);
+
+  const item = { id: newTrashId(), source, size: blob.size, trashedAt: new Date().toISOString() };
+  if (isEncryptionEnabled()) {
+    const { key, wrappedKey } = await createRecordKey();
+    const media = await encryptBlob(key, blob);
+    const meta = await encryptJson(key, recording);
+    await putRecord(TRASH_STORE, { ...item, blob: media.blob, encrypted: { wrappedKey, iv: media.iv, meta } });
+  } else {
+    await putRecord(TRASH_STORE, { ...item, recording, blob });
+  }
+
+  console.log('🗑️ Moved to trash:', item.id, source);
+  return item.id;
+}
+
+// Read a trash item's metadata, and its media when asked
+async function openTrashItem(item, withMedia) {
+  if (!item.encrypted) {
+    return { recording: item.recording, blob: withMedia ? item.blob : null };
+  }
+  const key = await openRecordKey(item.encrypted.wrappedKey);
+  const recording = await decryptJson(key, item.encrypted.meta);
+  const blob = withMedia
+    ? await decryptBlob(key, item.encrypted.iv, item.blob, recording.mimeType)
+    : null;
+  return { recording, blob };
+}
+
+/**
+ * Move a saved recording to the trash: its media is copied to this
+ * device, then it is deleted from the active backend.
+ * @param {string} docId Recording ID
+ * @param {string} [source] TRASH_SOURCE value, default DELETED
+ * @returns {Promise<string>} Trash item ID
+ */
+export async function moveRecordingToTrash(docId, source = TRASH_SOURCE.DELETED) {
+  const { recording, blob } = await readRecordingMedia(docId);
+  const metadata = {};
+  TRASHED_FIELDS.forEach((field) => {
+    metadata[field] = recording[field] ?? null;
+  });
+
+  const trashId = await putTrashItem(source, metadata, blob);
+  try {
+    await deleteRecording(docId);
+  } catch (error) {
+    // Still in the backend: don't leave a second copy in the trash
+    deleteRecord(TRASH_STORE, trashId).catch(() => {});
+    throw error;
+  }
+  return trashId;
+}
+
+/**
+ * Keep a take that was never saved (e.g. "Start Over") in the trash.
+ * @param {Blob} blob The take
+ * @param {Object} metadata { fileName, fileType, mimeType? }
+ * @returns {Promise<string>} Trash item ID
+ */
+export async function discardTakeToTrash(blob, { fileName, fileType, mimeType }) {
+  if (!(blob instanceof Blob) || blob.size === 0) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Recording is empty or missing');
+  }
+  return putTrashItem(TRASH_SOURCE.DISCARDED, {
+    id: null,
+    fileName,
+    fileType,
+    mimeType: mimeType || blob.type,
+    createdAt: new Date().toISOString()
+  }, blob);
+}
+
+/**
+ * Remove items older than the retention period.
+ * @returns {Promise<number>} Number of items purged
+ */
+export async function purgeExpiredTrash() {
+  const now = Date.now();
+  const expired = (await getAllRecords(TRASH_STORE)).filter((item) => !(expiresAt(item) > now));
+  for (const item of expired) {
+    await deleteRecord(TRASH_STORE, item.id);
+  }
+  if (expired.length > 0) {
+    console.log('🧹 Purged expired trash items:', expired.length);
+  }
+  return expired.length;
+}
+
+/**
+ * List the trash, newest first. Purges expired items first.
+ * @returns {Promise<Array<{ id, source, size, trashedAt, expiresAt, recording }>>}
+ *   recording: { id, fileName, fileType, mimeType, createdAt } (id is null for discarded takes)
+ */
+export async function listTrash() {
+  await purgeExpiredTrash();
+  const items = await getAllRecords(TRASH_STORE);
+  const entries = await Promise.all(items.map(async (item) => {
+    const { recording } = await openTrashItem(item, false);
+    return {
+      id: item.id,
+      source: item.source,
+      size: item.size,
+      trashedAt: item.trashedAt,
+      expiresAt: new Date(expiresAt(item)).toISOString(),
+      recording
+    };
+  }));
+  return entries.sort((a, b) => b.trashedAt.localeCompare(a.trashedAt));
+}
+
+/**
+ * Put a trashed item back into the active backend. Deleted
+ * recordings keep their ID where the backend allows it and it
+ * is still free; otherwise they get a new one.
+ * @param {string} trashId Trash item ID
+ * @returns {Promise<Object>} The stored recording
+ */
+export async function restoreFromTrash(trashId) {
+  const item = await getRecord(TRASH_STORE, trashId);
+  if (!item) {
+    throw createError(UPLOAD_ERRORS.UNKNOWN, 'Item is no longer in the trash');
+  }
+
+  const { recording, blob } = await openTrashItem(item, true);
+  const metadata = {
+    ...recording,
+    id: recording.id || undefined,
+    createdAt: recording.createdAt || undefined
+  };
+  let stored;
+  try {
+    stored = await importRecording(blob, metadata);
+  } catch (error) {
+    // The ID was reused meanwhile (e.g. by an import): restore under a fresh one
+    if (error?.status !== 409 || !metadata.id) {
+      throw error;
+    }
+    console.warn('Trash: ID', metadata.id, 'is taken, restoring under a new ID');
+    stored = await importRecording(blob, { ...metadata, id: undefined });
+  }
+  await deleteRecord(TRASH_STORE, trashId);
+  console.log('♻️ Restored from trash:', trashId, '=>', stored.id);
+  return stored;
+}
+
+/**
+ * Permanently delete one trash item.
+ * @param {string} trashId Trash item ID
+ * @returns {Promise<void>}
+ */
+export async function deleteFromTrash(trashId) {
+  await deleteRecord(TRASH_STORE, trashId);
+}
+
+/**
+ * Permanently delete everything in the trash.
+ * @returns {Promise<void>}
+ */
+export async function emptyTrash() {
+  await clearStore(TRASH_STORE);
+  console.log('🧹 Trash emptied');
+}
@@ -0,0 +1,159 @@
+/**
+ * retentionPolicy.js
+ * ------------------
+ * Automatic cleanup of recordings stored on this device, driven
+ * by SERVICE_CONFIG.RETENTION. Only the local backend keeps
+ * recordings in the browser, so nothing happens for others.
+ *
+ * Rules, applied newest recording first:
+ *   MAX_AGE_DAYS     recordings older than this are removed
+ *   MAX_COUNT        only the newest N are kept
+ *   MAX_TOTAL_BYTES  the newest recordings are kept up to this size
+ * With KEEP_IF_NOT_SYNCED, recordings never exported (no
+ * syncedAt) are kept even when a rule selects them. Encrypted
+ * recordings are only considered while unlocked.
+ *
+ * Removed recordings go to the trash (services/recordingTrash.js),
+ * so a wrong rule can be undone for TRASH.RETENTION_DAYS; their
+ * space is only freed once the trash is purged.
+ *
+ * startRetention() evaluates the rules at startup and after each
+ * upload from this tab. With DRY_RUN the result is only logged;
+ * the admin can review the plan and apply it.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+import {
+  getActiveStorageType,
+  onRecordingsChanged,
+  readDeviceRecordings,
+  RECORDING_CHANGE
+} from './recordingService';
+import { moveRecordingToTrash, TRASH_SOURCE } from './recordingTrash';
+import { recordingTimestamp } from './recordingQuery';
+
+export const RETENTION_REASON = {
+  AGE: 'age',
+  COUNT: 'count',
+  SIZE: 'size'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isLimit = (value) => typeof value === 'number' && value >= 0;
+
+/**
+ * Decide which recordings the rules remove. Pure; does not touch storage.
+ * @param {Array<Object>} recordings Recording metadata
+ * @param {Object} [policy] Shape of SERVICE_CONFIG.RETENTION
+ * @param {number} [now] Current time (ms)
+ * @returns {{ remove: Array, protectedCount: number, freedBytes: number }}
+ *   remove: { id, fileName, size, reason }; protectedCount: selected but kept as unsynced
+ */
+export function planRetention(recordings, policy = SERVICE_CONFIG.RETENTION, now = Date.now()) {
+  const newestFirst = [...recordings].sort(
+    (a, b) => (recordingTimestamp(b) || 0) - (recordingTimestamp(a) || 0)
+  );
+  const remove = [];
+  let protectedCount = 0;
+  let keptCount = 0;
+  let keptBytes = 0;
+
+  newestFirst.forEach((recording) => {
+    const size = recording.size || 0;
+    const timestamp = recordingTimestamp(recording);
+
+    let reason = null;
+    if (isLimit(policy.MAX_AGE_DAYS) && timestamp && now - timestamp > policy.MAX_AGE_DAYS * DAY_MS) {
+      reason = RETENTION_REASON.AGE;
+    } else if (isLimit(policy.MAX_COUNT) && keptCount >= policy.MAX_COUNT) {
+      reason = RETENTION_REASON.COUNT;
+    } else if (isLimit(policy.MAX_TOTAL_BYTES) && keptBytes + size > policy.MAX_TOTAL_BYTES) {
+      reason = RETENTION_REASON.SIZE;
+    }
+
+    if (reason && policy.KEEP_IF_NOT_SYNCED && !recording.syncedAt) {
+      protectedCount += 1;
+      reason = null;
+    }
+
+    if (reason) {
+      remove.push({ id: recording.id, fileName: recording.fileName || null, size, reason });
+    } else {
+      keptCount += 1;
+      keptBytes += size;
+    }
+  });
+
+  return {
+    remove,
+    protectedCount,
+    freedBytes: remove.reduce((sum, entry) => sum + entry.size, 0)
+  };
+}
+
+/**
+ * Evaluate the rules against this device's recordings and, unless
+ * dryRun, move what they select to the trash.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] Default SERVICE_CONFIG.RETENTION.DRY_RUN
+ * @returns {Promise<Object>} planRetention() result plus
+ *   { dryRun, evaluatedAt, unreadable, removed: [id], failed: [{ id, reason }] }
+ */
+export async function applyRetention({ dryRun = SERVICE_CONFIG.RETENTION.DRY_RUN } = {}) {
+  const report = { dryRun, evaluatedAt: new Date().toISOString(), unreadable: 0, removed: [], failed: [] };
+  if (getActiveStorageType() !== 'local') {
+    return { ...report, remove: [], protectedCount: 0, freedBytes: 0 };
+  }
+
+  const { recordings, unreadable } = await readDeviceRecordings();
+  Object.assign(report, planRetention(recordings), { unreadable });
+
+  if (!dryRun) {
+    for (const entry of report.remove) {
+      try {
+        await moveRecordingToTrash(entry.id, TRASH_SOURCE.RETENTION);
+        report.removed.push(entry.id);
+      } catch (error) {
+        console.error('Retention: could not remove', entry.id, error);
+        report.failed.push({ id: entry.id, reason: error.message });
+      }
+    }
+  }
+
+  if (report.remove.length > 0) {
+    console.log(dryRun ? '🧾 Retention (dry run) would remove:' : '🧹 Retention moved to trash:', report.remove.length, 'recordings');
+  }
+  return report;
+}
+
+let running = null;
+
+// One evaluation at a time; uploads during a run don't start another
+function runRetention() {
+  if (!running) {
+    running = applyRetention()
+      .catch((error) => console.error('Retention check failed:', error))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+/**
+ * Evaluate retention now and after every upload made in this tab.
+ * Other tabs evaluate their own uploads.
+ * @returns {function} Stop function
+ */
+export function startRetention() {
+  if (getActiveStorageType() !== 'local') {
+    return () => {};
+  }
+  runRetention();
+  return onRecordingsChanged((change) => {
+    if (change.type === RECORDING_CHANGE.CREATED && !change.remote) {
+      runRetention();
+    }
+  });
+}
@@ -0,0 +1,161 @@
+/**
+ * storageMigrations.js
+ * --------------------
+ * Versioned schema for the local recordings metadata list.
+ * Stored data is an envelope { schemaVersion, recordings };
+ * the original bare array is treated as version 1. Older data
+ * is upgraded on load by running MIGRATIONS in order. If a
+ * migration fails, the raw pre-migration value is copied to a
+ * backup key first so nothing is lost, and the caller keeps
+ * working with the unmigrated records.
+ *
+ * Adding a migration: append { version, description, migrate }
+ * with the next version number. `migrate` receives the records
+ * at version - 1 and returns them at `version`; it must not
+ * mutate its input.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+import { createError, validateStorageData, UPLOAD_ERRORS } from '../utils/errors';
+import { recordingTimestamp } from './recordingQuery';
+
+const BACKUP_KEY_PREFIX = SERVICE_CONFIG.LOCAL_STORAGE.BACKUP_KEY_PREFIX;
+
+// Version of the original bare-array format
+const LEGACY_SCHEMA_VERSION = 1;
+
+// ID for a legacy record that has none. Derived only from the record,
+// so it is the same on every load even while the migrated list cannot
+// be saved, and links or QR codes made in between keep working.
+function legacyRecordId(item, index) {
+  // FNV-1a over the fields that identify the recording
+  const source = `${item.fileName || ''}|${item.createdAt || ''}|${item.size || ''}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < source.length; i++) {
+    hash = Math.imul(hash ^ source.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return `legacy_${index}_${hash.toString(36)}`;
+}
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Give every record an id, a fileType and an ISO createdAt',
+    migrate: (recordings) => recordings
+      .filter((item) => item && typeof item === 'object')
+      .map((item, index) => {
+        const fileTypeFromName = /_(audio|video)\./.exec(item.fileName || '')?.[1];
+        const timestamp = recordingTimestamp(item);
+        return {
+          ...item,
+          id: typeof item.id === 'string' ? item.id : legacyRecordId(item, index),
+          fileType: item.fileType || fileTypeFromName || 'audio',
+          createdAt: timestamp ? new Date(timestamp).toISOString() : null,
+          size: Number(item.size) || 0
+        };
+      })
+  },
+  {
+    version: 3,
+    description: 'Drop hash tags keyed from the public key; anyone could recompute them',
+    migrate: (recordings) => recordings.map(({ hashTag, ...item }) => item)
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Wrap a recordings list in the current storage envelope.
+ * @param {Array<Object>} recordings
+ * @returns {{ schemaVersion: number, recordings: Array<Object> }}
+ */
+export function toStorageEnvelope(recordings) {
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, recordings };
+}
+
+// Read { version, recordings } from either stored format
+function readEnvelope(data) {
+  if (Array.isArray(data)) {
+    return { version: LEGACY_SCHEMA_VERSION, recordings: data };
+  }
+  if (data && typeof data === 'object' && Array.isArray(data.recordings)) {
+    return { version: Number(data.schemaVersion) || LEGACY_SCHEMA_VERSION, recordings: data.recordings };
+  }
+  return null;
+}
+
+// Copy the raw stored value aside before anything can overwrite it.
+// Failed data is re-read on every load, so identical backups are reused.
+function backupRawData(storageKey, rawValue, version) {
+  const prefix = `${BACKUP_KEY_PREFIX}${storageKey}_v${version}_`;
+  const existing = Object.keys(localStorage)
+    .find((key) => key.startsWith(prefix) && localStorage.getItem(key) === rawValue);
+  if (existing) {
+    return existing;
+  }
+
+  const backupKey = `${prefix}${Date.now()}`;
+  try {
+    localStorage.setItem(backupKey, rawValue);
+    console.warn('💾 Pre-migration data backed up to', backupKey);
+  } catch (error) {
+    console.error('Could not back up pre-migration data:', error);
+  }
+  return backupKey;
+}
+
+/**
+ * Upgrade parsed storage data to CURRENT_SCHEMA_VERSION.
+ * Never throws: failures are backed up and reported in the result.
+ * @param {*} data Parsed JSON from storage
+ * @param {Object} context
+ * @param {string} context.storageKey localStorage key the data came from
+ * @param {string} context.rawValue Unparsed stored string (for the backup)
+ * @returns {{ recordings: Array<Object>, migrated: boolean, error: Object|null }}
+ *   `migrated` is true when the caller should write the result back
+ */
+export function migrateRecordings(data, { storageKey, rawValue }) {
+  const envelope = readEnvelope(data);
+  if (!envelope) {
+    const error = createError(UPLOAD_ERRORS.UNKNOWN, 'Unrecognised recordings storage format');
+    backupRawData(storageKey, rawValue, 'unknown');
+    console.error('Storage migration error:', error);
+    return { recordings: [], migrated: false, error };
+  }
+
+  if (envelope.version > CURRENT_SCHEMA_VERSION) {
+    // Written by a newer app version: read as-is and leave it alone
+    console.warn(`Recordings schema v${envelope.version} is newer than v${CURRENT_SCHEMA_VERSION}`);
+    return { recordings: envelope.recordings, migrated: false, error: null };
+  }
+
+  let { version, recordings } = envelope;
+  const pending = MIGRATIONS.filter((migration) => migration.version > version);
+  if (pending.length === 0) {
+    return { recordings, migrated: false, error: null };
+  }
+
+  try {
+    for (const migration of pending) {
+      recordings = migration.migrate(recordings);
+      if (!validateStorageData(recordings)) {
+        throw new Error(`Migration to v${migration.version} produced invalid records`);
+      }
+      version = migration.version;
+      console.log(`🔧 Recordings migrated to schema v${version}: ${migration.description}`);
+    }
+    return { recordings, migrated: true, error: null };
+  } catch (err) {
+    const backupKey = backupRawData(storageKey, rawValue, envelope.version);
+    const error = createError(
+      UPLOAD_ERRORS.UNKNOWN,
+      `Recordings migration from schema v${envelope.version} failed; original data kept in ${backupKey}`,
+      err
+    );
+    console.error('Storage migration error:', error);
+
+    // Best effort: show whatever the unmigrated data still supports
+    const usable = envelope.recordings.filter((item) => item && typeof item.id === 'string');
+    return { recordings: usable, migrated: false, error };
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * storageQuota.js
+ * ---------------
+ * Browser storage quota awareness. Wraps navigator.storage
+ * (estimate/persist) so the app can warn before a take that
+ * would not fit and refuse writes that are bound to fail,
+ * instead of learning about QuotaExceededError afterwards.
+ * Every function degrades gracefully where the Storage API
+ * is unavailable (older Safari, some private modes).
+ */
+
+import { RECORDING_LIMITS, SERVICE_CONFIG } from '../config';
+import { createError, UPLOAD_ERRORS } from '../utils/errors';
+
+const QUOTA_CONFIG = SERVICE_CONFIG.STORAGE_QUOTA;
+
+function storageManager() {
+  return typeof navigator !== 'undefined' ? navigator.storage : undefined;
+}
+
+/**
+ * Current storage usage for this origin.
+ * @returns {Promise<{ supported: boolean, usage: number, quota: number,
+ *   available: number, persisted: boolean }>} Sizes in bytes;
+ *   `available` is Infinity when the browser cannot tell
+ */
+export async function getStorageEstimate() {
+  const storage = storageManager();
+  if (!storage?.estimate) {
+    return { supported: false, usage: 0, quota: Infinity, available: Infinity, persisted: false };
+  }
+
+  try {
+    const { usage = 0, quota = Infinity } = await storage.estimate();
+    const persisted = storage.persisted ? await storage.persisted() : false;
+    return { supported: true, usage, quota, available: Math.max(quota - usage, 0), persisted };
+  } catch (error) {
+    console.warn('Storage estimate unavailable:', error);
+    return { supported: false, usage: 0, quota: Infinity, available: Infinity, persisted: false };
+  }
+}
+
+/**
+ * Ask the browser not to evict our data under storage pressure.
+ * @returns {Promise<boolean>} Whether storage is persistent
+ */
+export async function requestPersistentStorage() {
+  const storage = storageManager();
+  if (!storage?.persist) return false;
+
+  try {
+    if (storage.persisted && await storage.persisted()) {
+      return true;
+    }
+    const granted = await storage.persist();
+    console.log(granted ? '🔒 Persistent storage granted' : 'Persistent storage not granted');
+    return granted;
+  } catch (error) {
+    console.warn('Persistent storage request failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Bytes needed to safely keep one full-length take.
+ * @param {string} fileType 'audio' or 'video'
+ * @returns {number}
+ */
+export function estimateTakeBytes(fileType) {
+  const bitrate = QUOTA_CONFIG.ESTIMATED_BITRATE_BPS[fileType] || QUOTA_CONFIG.ESTIMATED_BITRATE_BPS.video;
+  return Math.ceil((bitrate / 8) * RECORDING_LIMITS.MAX_DURATION_SECONDS * QUOTA_CONFIG.SAFETY_FACTOR);
+}
+
+/**
+ * Whether a full-length take of each type fits in the free space.
+ * @returns {Promise<{ estimate: Object, audio: boolean, video: boolean }>}
+ */
+export async function checkSpaceForTakes() {
+  const estimate = await getStorageEstimate();
+  return {
+    estimate,
+    audio: estimate.available >= estimateTakeBytes('audio'),
+    video: estimate.available >= estimateTakeBytes('video')
+  };
+}
+
+/**
+ * Reject with QUOTA_EXCEEDED before writing `bytes` that cannot fit.
+ * Passes when the browser cannot report its quota.
+ * @param {number} bytes Size of the pending write
+ * @returns {Promise<void>}
+ */
+export async function ensureStorageAvailable(bytes) {
+  const { available } = await getStorageEstimate();
+  if (bytes > available) {
+    throw createError(
+      UPLOAD_ERRORS.QUOTA_EXCEEDED,
+      `Not enough storage space on this device (${formatBytes(bytes)} needed, ${formatBytes(available)} free)`
+    );
+  }
+}
+
+/**
+ * Human-readable byte size, e.g. "4.2 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return 'unknown';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
@@ -0,0 +1,279 @@
+/**
+ * uploadQueue.js
+ * --------------
+ * Persistent outbound queue for recordings that could not be
+ * uploaded (offline, backend down). Queued recordings - Blob
+ * included - live in IndexedDB so they survive reloads and
+ * "Start Over". The queue retries with exponential backoff,
+ * resumes immediately when the browser comes back online, and
+ * parks items as 'failed' once MAX_ATTEMPTS is reached so the
+ * UI can offer a manual retry.
+ *
+ * Every open tab runs the queue, so each processing pass holds a
+ * Web Lock: only one tab uploads at a time, and an item marked
+ * 'uploading' while nobody holds the lock was left by a closed tab.
+ */
+
+import { SERVICE_CONFIG } from '../config';
+import { createError, toStructuredError, UPLOAD_ERRORS } from '../utils/errors';
+import { getAllRecords, getRecord, putRecord, deleteRecord } from './indexedDbStore';
+import { uploadRecording } from './recordingService';
+import { ensureStorageAvailable } from './storageQuota';
+
+const QUEUE_STORE = SERVICE_CONFIG.LOCAL_STORAGE.INDEXED_DB.STORES.UPLOAD_QUEUE;
+const QUEUE_CONFIG = SERVICE_CONFIG.UPLOAD_QUEUE;
+
+// Queue item statuses
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  FAILED: 'failed'
+};
+
+// Error types worth retrying automatically; anything else needs a person
+const RETRYABLE_ERRORS = [
+  UPLOAD_ERRORS.NETWORK_ERROR,
+  UPLOAD_ERRORS.TIMEOUT,
+  UPLOAD_ERRORS.UNKNOWN
+];
+
+const listeners = new Set();
+let processing = false;
+let retryTimerId = null;
+let started = false;
+
+// Exponential backoff with a little jitter so tabs don't retry in lockstep
+function backoffDelay(attempts) {
+  const exponential = QUEUE_CONFIG.BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0);
+  const capped = Math.min(exponential, QUEUE_CONFIG.MAX_RETRY_DELAY_MS);
+  return Math.round(capped * (0.8 + Math.random() * 0.4));
+}
+
+// Strip the Blob so listeners get lightweight, serialisable items
+function toSummary(item) {
+  const { blob, ...summary } = item;
+  return { ...summary, size: blob?.size || 0 };
+}
+
+async function notifyListeners() {
+  if (listeners.size === 0) return;
+  const items = await listQueuedUploads();
+  listeners.forEach((listener) => listener(items));
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+// Schedule the next processing pass for the earliest due item
+async function scheduleNextAttempt() {
+  if (retryTimerId) {
+    clearTimeout(retryTimerId);
+    retryTimerId = null;
+  }
+
+  const items = await getAllRecords(QUEUE_STORE);
+  const due = items
+    .filter((item) => item.status === QUEUE_STATUS.PENDING)
+    .map((item) => item.nextAttemptAt || 0);
+  if (due.length === 0) return;
+
+  const wait = Math.max(Math.min(...due) - Date.now(), 0);
+  retryTimerId = setTimeout(() => {
+    retryTimerId = null;
+    processUploadQueue();
+  }, wait);
+}
+
+/**
+ * Add a recording to the queue. It is attempted right away when online.
+ * @param {Object} params
+ * @param {Blob} params.blob Recording blob
+ * @param {string} params.fileName File name
+ * @param {string} params.fileType 'audio' or 'video'
+ * @param {string} [params.mimeType] Actual mime type
+ * @param {Object} [params.lastError] Structured error from the failed attempt
+ * @returns {Promise<Object>} Summary of the queued item
+ */
+export async function enqueueUpload({ blob, fileName, fileType, mimeType, lastError = null }) {
+  if (!(blob instanceof Blob)) {
+    throw createError(UPLOAD_ERRORS.INVALID_FILE, 'Cannot queue an upload without a recording');
+  }
+  await ensureStorageAvailable(blob.size);
+
+  const now = Date.now();
+  const item = {
+    id: `queued_${now}_${Math.random().toString(36).substr(2, 9)}`,
+    blob,
+    fileName,
+    fileType,
+    mimeType: mimeType || blob.type,
+    status: QUEUE_STATUS.PENDING,
+    attempts: lastError ? 1 : 0,
+    lastError,
+    createdAt: new Date(now).toISOString(),
+    nextAttemptAt: lastError ? now + backoffDelay(1) : now
+  };
+
+  await putRecord(QUEUE_STORE, item);
+  console.log('📥 Recording queued for upload:', item.id, fileName);
+
+  notifyListeners().catch((error) => console.error('Error notifying upload queue listeners:', error));
+  scheduleNextAttempt().catch((error) => console.error('Error scheduling queued uploads:', error));
+  return toSummary(item);
+}
+
+/**
+ * List queued uploads (without their Blobs), oldest first.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listQueuedUploads() {
+  const items = await getAllRecords(QUEUE_STORE);
+  return items
+    .map(toSummary)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Reset a queued (or failed) item and attempt it immediately.
+ * @param {string} id Queue item ID
+ * @returns {Promise<void>}
+ */
+export async function retryQueuedUpload(id) {
+  const item = await getRecord(QUEUE_STORE, id);
+  if (!item) return;
+
+  await putRecord(QUEUE_STORE, {
+    ...item,
+    status: QUEUE_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: Date.now()
+  });
+  await notifyListeners();
+  processUploadQueue();
+}
+
+/**
+ * Drop an item from the queue without uploading it.
+ * @param {string} id Queue item ID
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedUpload(id) {
+  await deleteRecord(QUEUE_STORE, id);
+  await notifyListeners();
+  scheduleNextAttempt().catch((error) => console.error('Error scheduling queued uploads:', error));
+}
+
+// Run a processing pass exclusively across tabs. Without the Web
+// Locks API only this tab's `processing` flag guards the queue.
+function withQueueLock(task) {
+  if (navigator.locks?.request) {
+    return navigator.locks.request(QUEUE_CONFIG.LOCK_NAME, () => task(true));
+  }
+  return task(false);
+}
+
+// Items left 'uploading' by a tab that closed mid-upload go back to pending
+async function resetInterruptedUploads() {
+  const items = await getAllRecords(QUEUE_STORE);
+  const interrupted = items.filter((item) => item.status === QUEUE_STATUS.UPLOADING);
+  for (const item of interrupted) {
+    await putRecord(QUEUE_STORE, { ...item, status: QUEUE_STATUS.PENDING });
+  }
+  if (interrupted.length > 0) {
+    console.log('🔁 Resuming interrupted queued uploads:', interrupted.length);
+  }
+}
+
+/**
+ * Upload every pending item that is due. Safe to call repeatedly
+ * and from several tabs; only one pass runs at a time.
+ * @returns {Promise<void>}
+ */
+export async function processUploadQueue() {
+  if (processing || !isOnline()) return;
+  processing = true;
+
+  try {
+    await withQueueLock(async (exclusive) => {
+      // Holding the lock, no other tab can be uploading right now
+      if (exclusive) {
+        await resetInterruptedUploads();
+      }
+
+      const items = await getAllRecords(QUEUE_STORE);
+      const now = Date.now();
+      const due = items
+        .filter((item) => item.status === QUEUE_STATUS.PENDING && (item.nextAttemptAt || 0) <= now)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const item of due) {
+        if (!isOnline()) break;
+
+        await putRecord(QUEUE_STORE, { ...item, status: QUEUE_STATUS.UPLOADING });
+        await notifyListeners();
+
+        try {
+          const result = await uploadRecording(item.blob, item.fileName, item.fileType, null, item.mimeType);
+          await deleteRecord(QUEUE_STORE, item.id);
+          console.log('✅ Queued recording uploaded:', item.id, '=>', result.docId);
+        } catch (error) {
+          const attempts = item.attempts + 1;
+          const retryable = RETRYABLE_ERRORS.includes(error?.type) && attempts < QUEUE_CONFIG.MAX_ATTEMPTS;
+          await putRecord(QUEUE_STORE, {
+            ...item,
+            attempts,
+            lastError: toStructuredError(error),
+            status: retryable ? QUEUE_STATUS.PENDING : QUEUE_STATUS.FAILED,
+            nextAttemptAt: retryable ? Date.now() + backoffDelay(attempts) : null
+          });
+          console.warn(`Queued upload ${item.id} failed (attempt ${attempts}):`, error);
+        }
+        await notifyListeners();
+      }
+    });
+  } catch (error) {
+    console.error('Error processing upload queue:', error);
+  } finally {
+    processing = false;
+  }
+
+  scheduleNextAttempt().catch((error) => console.error('Error scheduling queued uploads:', error));
+}
+
+/**
+ * Subscribe to queue changes. The listener is called with the
+ * current item summaries immediately and after every change.
+ * @param {function} listener Called with an array of item summaries
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToUploadQueue(listener) {
+  listeners.add(listener);
+  listQueuedUploads()
+    .then((items) => {
+      if (listeners.has(listener)) listener(items);
+    })
+    .catch((error) => console.error('Error reading upload queue:', error));
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Start background processing: retry on load, on reconnect and
+ * on the backoff schedule. Call once at app startup.
+ */
+export function startUploadQueue() {
+  if (started) return;
+  started = true;
+
+  // With Web Locks the first pass resets interrupted items under the
+  // lock; without them this is the best guess that none is in flight
+  const ready = navigator.locks?.request ? Promise.resolve() : resetInterruptedUploads();
+  ready
+    .then(() => processUploadQueue())
+    .catch((error) => console.error('Error starting upload queue:', error));
+
+  window.addEventListener('online', () => {
+    console.log('🌐 Back online, processing upload queue');
+    processUploadQueue();
+  });
+}
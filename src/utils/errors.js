@@ -12,6 +12,9 @@ export const UPLOAD_ERRORS = {
   INVALID_FILE: 'INVALID_FILE',
   PERMISSION_DENIED: 'PERMISSION_DENIED',
   TIMEOUT: 'TIMEOUT',
+  NOT_SUPPORTED: 'NOT_SUPPORTED',
+  CANCELLED: 'CANCELLED',
+  LOCKED: 'LOCKED',
   UNKNOWN: 'UNKNOWN'
 };
 
@@ -22,6 +25,9 @@ export const ERROR_MESSAGES = {
   [UPLOAD_ERRORS.INVALID_FILE]: 'Invalid file format or corrupted file.',
   [UPLOAD_ERRORS.PERMISSION_DENIED]: 'Permission denied. Please check your permissions.',
   [UPLOAD_ERRORS.TIMEOUT]: 'Operation timed out. Please try again.',
+  [UPLOAD_ERRORS.NOT_SUPPORTED]: 'This operation is not supported by the current storage backend.',
+  [UPLOAD_ERRORS.CANCELLED]: 'Upload cancelled.',
+  [UPLOAD_ERRORS.LOCKED]: 'Recordings are locked. Enter the passphrase to unlock them.',
   [UPLOAD_ERRORS.UNKNOWN]: 'An unexpected error occurred. Please try again.'
 };
 
@@ -108,6 +114,38 @@ export const createError = (type, message = null, originalError = null) => {
   };
 };
 
+/**
+ * Check whether a value is a structured error from createError
+ * @param {*} error - Value to check
+ * @returns {boolean} True if structured
+ */
+export const isStructuredError = (error) => {
+  return Boolean(
+    error &&
+    typeof error === 'object' &&
+    typeof error.type === 'string' &&
+    typeof error.timestamp === 'string'
+  );
+};
+
+/**
+ * Ensure an error is structured, wrapping raw errors.
+ * Storage quota failures map to QUOTA_EXCEEDED.
+ * @param {*} error - Structured or raw error
+ * @param {string} message - Message used when wrapping (optional)
+ * @param {string} fallbackType - Type used when wrapping (optional)
+ * @returns {Object} Structured error object
+ */
+export const toStructuredError = (error, message = null, fallbackType = UPLOAD_ERRORS.UNKNOWN) => {
+  if (isStructuredError(error)) {
+    return error;
+  }
+  const type = error && classifyStorageError(error) === STORAGE_ERRORS.QUOTA_EXCEEDED
+    ? UPLOAD_ERRORS.QUOTA_EXCEEDED
+    : fallbackType;
+  return createError(type, message, error instanceof Error ? error : null);
+};
+
 /**
  * Classify browser storage errors
  * @param {Error} error - Browser error object
@@ -127,4 +165,61 @@ export const classifyStorageError = (error) => {
   }
   
   return STORAGE_ERRORS.PARSE_ERROR;
-};
\ No newline at end of file
+};
+
+// Why the camera/microphone could not be opened (see classifyMediaError)
+export const MEDIA_ERRORS = {
+  DENIED: 'DENIED', // Blocked by the user or a site setting
+  DISMISSED: 'DISMISSED', // Permission prompt closed without an answer
+  NO_DEVICE: 'NO_DEVICE',
+  IN_USE: 'IN_USE', // Held by another app or tab, or a hardware error
+  UNSUPPORTED: 'UNSUPPORTED', // Device can't do what was required (e.g. a facing mode)
+  INSECURE_CONTEXT: 'INSECURE_CONTEXT', // Page not served over HTTPS
+  UNKNOWN: 'UNKNOWN'
+};
+
+// Structured error type recorded for each media failure
+export const MEDIA_ERROR_TYPES = {
+  [MEDIA_ERRORS.DENIED]: UPLOAD_ERRORS.PERMISSION_DENIED,
+  [MEDIA_ERRORS.DISMISSED]: UPLOAD_ERRORS.PERMISSION_DENIED,
+  [MEDIA_ERRORS.NO_DEVICE]: UPLOAD_ERRORS.NOT_SUPPORTED,
+  [MEDIA_ERRORS.IN_USE]: UPLOAD_ERRORS.UNKNOWN,
+  [MEDIA_ERRORS.UNSUPPORTED]: UPLOAD_ERRORS.NOT_SUPPORTED,
+  [MEDIA_ERRORS.INSECURE_CONTEXT]: UPLOAD_ERRORS.NOT_SUPPORTED,
+  [MEDIA_ERRORS.UNKNOWN]: UPLOAD_ERRORS.UNKNOWN
+};
+
+/**
+ * Classify a getUserMedia failure. Browsers report a closed prompt
+ * and a blocked one with the same NotAllowedError, so the
+ * Permissions API state is used to tell them apart when known.
+ * @param {Error} error - Error thrown by getUserMedia
+ * @param {string} permissionState - 'granted' | 'denied' | 'prompt' (optional)
+ * @returns {string} Error type from MEDIA_ERRORS
+ */
+export const classifyMediaError = (error, permissionState = null) => {
+  if (window.isSecureContext === false || !navigator.mediaDevices?.getUserMedia) {
+    return MEDIA_ERRORS.INSECURE_CONTEXT;
+  }
+
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError': // Older Chrome
+    case 'SecurityError':
+      if (permissionState === 'prompt' || /dismiss/i.test(error.message || '')) {
+        return MEDIA_ERRORS.DISMISSED;
+      }
+      return MEDIA_ERRORS.DENIED;
+    case 'NotFoundError':
+    case 'DevicesNotFoundError': // Older Chrome
+      return MEDIA_ERRORS.NO_DEVICE;
+    case 'OverconstrainedError': // Only "exact" constraints can fail this way
+      return MEDIA_ERRORS.UNSUPPORTED;
+    case 'NotReadableError':
+    case 'TrackStartError': // Older Chrome
+    case 'AbortError':
+      return MEDIA_ERRORS.IN_USE;
+    default:
+      return MEDIA_ERRORS.UNKNOWN;
+  }
+};
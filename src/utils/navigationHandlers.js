@@ -7,6 +7,8 @@
  */
 
 // Modal imports removed - now using Radix Dialog directly in App.js
+import { discardTakes } from './submissionHandlers';
+import { RECORDING_EVENTS } from '../reducers/recordingMachine';
 
 /**
  * Creates navigation handler functions
@@ -18,9 +20,12 @@ export function createNavigationHandlers({
   dispatch, 
   APP_ACTIONS,
   handleDone,
-  setCaptureMode,
+  sendRecordingEvent,
   setShowStartOverDialog,
-  setIsPlayerReady
+  setIsPlayerReady,
+  takes,
+  getTakeBlob,
+  releaseTake
 }) {
   
   // "Start Over" Flow - Now using Radix Dialog
@@ -31,22 +36,25 @@ export function createNavigationHandlers({
   };
 
   // Handle the actual start over confirmation
-  const handleStartOverConfirm = () => {
+  const handleStartOverConfirm = async () => {
     console.log('✨ Start over confirmed');
+    // Takes still held were never saved (saved ones are released right
+    // away): keep them in the trash so they can be restored from the
+    // admin. Each is released only once its trash copy is written.
+    await discardTakes(takes, getTakeBlob, releaseTake);
     
     // Execute the reset logic for inline review mode
     handleDone();
-    dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: false });
-    dispatch({ type: APP_ACTIONS.SET_SHOW_CONFETTI, payload: false });
     dispatch({ type: APP_ACTIONS.SET_DOC_ID, payload: null });
-    dispatch({ type: APP_ACTIONS.SET_UPLOAD_IN_PROGRESS, payload: false });
     dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: 0 });
+    dispatch({ type: APP_ACTIONS.SET_QUEUED_UPLOAD_IDS, payload: [] });
+    dispatch({ type: APP_ACTIONS.SET_UPLOAD_ERROR, payload: null });
     
     // Reset player state
     setIsPlayerReady(false);
     
-    // Reset captureMode so user sees Audio/Video choice
-    setCaptureMode(null);
+    // Back to idle (and captureMode null) so user sees Audio/Video choice
+    sendRecordingEvent({ type: RECORDING_EVENTS.START_OVER });
   };
 
   // Keep legacy handlers for backward compatibility during transition
@@ -54,24 +62,22 @@ export function createNavigationHandlers({
     // 1) Stop recording & close overlays
     handleDone();
     dispatch({ type: APP_ACTIONS.SET_SHOW_START_OVER_CONFIRM, payload: false });
-    dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: false });
-    dispatch({ type: APP_ACTIONS.SET_SHOW_CONFETTI, payload: false });
     dispatch({ type: APP_ACTIONS.SET_DOC_ID, payload: null });
-    dispatch({ type: APP_ACTIONS.SET_UPLOAD_IN_PROGRESS, payload: false });
     dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: 0 });
 
-    // 2) Reset captureMode so user sees Audio/Video choice
-    setCaptureMode(null);
+    // 2) Back to idle so user sees Audio/Video choice
+    sendRecordingEvent({ type: RECORDING_EVENTS.START_OVER });
   };
 
   const handleStartOverNo = () => {
     dispatch({ type: APP_ACTIONS.SET_SHOW_START_OVER_CONFIRM, payload: false });
   };
 
-  // "Done" => Move to Submit Stage (inline review mode)
+  // "Done" => Move to Submit Stage (inline review mode); the
+  // machine enters review once the recorder has flushed the take
   const handleDoneAndSubmitStage = () => {
     handleDone();
-    dispatch({ type: APP_ACTIONS.SET_SUBMIT_STAGE, payload: true });
+    setIsPlayerReady(false);
   };
 
   return {
@@ -5,86 +5,259 @@
  * Moved from components/SubmissionHandler.jsx for better architecture.
  */
 
-import { uploadRecording } from '../services/localRecordingService';
+import { findRecordingByHash, uploadRecording } from '../services/recordingService';
+import { hashBlob } from '../services/contentHash';
+import { enqueueUpload } from '../services/uploadQueue';
+import { discardTakeToTrash } from '../services/recordingTrash';
+import { createError, toStructuredError, UPLOAD_ERRORS } from './errors';
+import { RECORDING_EVENTS } from '../reducers/recordingMachine';
 
 /**
- * Creates a submission handler function
+ * File name for a new take, e.g. "2025-01-26_143005_audio.webm".
+ * The date/time prefix is what recordingTimestamp falls back to.
+ * @param {string} captureMode 'audio' or 'video'
+ * @param {string} [actualMimeType] Mime type from MediaRecorder
+ * @param {Date} [now] Time of the take
+ * @returns {string}
+ */
+export function buildRecordingFileName(captureMode, actualMimeType, now = new Date()) {
+  const year = now.getFullYear();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  const hours = String(now.getHours()).padStart(2, '0');
+  const mins = String(now.getMinutes()).padStart(2, '0');
+  const secs = String(now.getSeconds()).padStart(2, '0');
+
+  // Determine the correct extension based on mimeType
+  let fileExtension;
+  if (captureMode === 'video') {
+    // If actualMimeType includes 'mp4', we use .mp4, else .webm
+    if (actualMimeType?.includes('mp4')) {
+      fileExtension = 'mp4';
+    } else {
+      fileExtension = 'webm';
+    }
+  } else {
+    // Audio
+    if (actualMimeType?.includes('mp4')) {
+      // We'll use .m4a for AAC-based recordings
+      fileExtension = 'm4a';
+    } else {
+      fileExtension = 'webm';
+    }
+  }
+
+  return `${year}-${month}-${day}_${hours}${mins}${secs}_${captureMode}.${fileExtension}`;
+}
+
+/**
+ * Move takes that were never saved to the trash so they can be
+ * restored from the admin, releasing each once its trash copy is
+ * written. A take that cannot be trashed (e.g. storage is full)
+ * keeps its crash-safe session copy, so it is offered for recovery
+ * on the next visit instead of being lost. Never rejects.
+ * @param {Array<Object>} takes Takes from useRecordingFlow
+ * @param {function} getTakeBlob (takeId) => Blob|null
+ * @param {function} releaseTake (takeId, { keepSession }) from useRecordingFlow
+ * @returns {Promise<void>}
+ */
+export async function discardTakes(takes, getTakeBlob, releaseTake) {
+  for (const take of takes) {
+    const blob = getTakeBlob(take.id);
+    let trashed = false;
+    if (blob) {
+      try {
+        await discardTakeToTrash(blob, {
+          fileName: buildRecordingFileName(take.captureMode, take.mimeType, new Date(take.recordedAt)),
+          fileType: take.captureMode,
+          mimeType: take.mimeType
+        });
+        trashed = true;
+      } catch (error) {
+        console.warn('Discarded take not kept in the trash; keeping it for recovery:', error);
+      }
+    }
+    releaseTake(take.id, { keepSession: !trashed });
+  }
+}
+
+/**
+ * Creates the submission handlers for the review stage. The takes
+ * picked on the review screen are uploaded (or queued) one after
+ * another; each is released as soon as it is saved, so a retry
+ * after a failure only covers the rest. Once all are saved, the
+ * takes that were not picked go to the trash.
  * @param {Object} params - Submission parameters
- * @returns {Function} handleSubmit function
+ * @returns {Object} { handleSubmit, handleSaveForLater, handleCancelUpload }
  */
 export function createSubmissionHandler({
-  recordedBlobUrl,
-  captureMode, 
-  actualMimeType,
+  takes,
+  selectedTakeIds,
+  getTakeBlob,
+  releaseTake,
   appState,
   dispatch,
-  APP_ACTIONS
+  APP_ACTIONS,
+  sendRecordingEvent,
+  uploadControllerRef
 }) {
-  
+  const selectedTakes = takes.filter((take) => selectedTakeIds.includes(take.id));
+
+  // A take's Blob straight from the blob registry
+  const loadTakeBlob = (take) => {
+    const recordedBlob = getTakeBlob(take.id);
+    if (!recordedBlob) {
+      throw createError(UPLOAD_ERRORS.INVALID_FILE, 'No recording found to upload');
+    }
+    return recordedBlob;
+  };
+
+  // Create a unique filename for a take
+  const buildFileName = (take) => buildRecordingFileName(take.captureMode, take.mimeType, new Date(take.recordedAt));
+
+  // The first saved take is the one the "done" screen links to
+  let savedDocId = appState.docId;
+  const rememberDocId = (docId) => {
+    if (!savedDocId) {
+      savedDocId = docId;
+      dispatch({ type: APP_ACTIONS.SET_DOC_ID, payload: docId });
+    }
+  };
+
+  // All picked takes saved: drop the rest and show the "done" screen
+  const finishSubmission = async (event) => {
+    const unselected = takes.filter((take) => !selectedTakeIds.includes(take.id));
+    await discardTakes(unselected, getTakeBlob, releaseTake);
+    dispatch({ type: APP_ACTIONS.SET_UPLOAD_ERROR, payload: null });
+    sendRecordingEvent({ type: event });
+  };
+
+  // Save takes to the offline queue and show the "saved" screen.
+  // Queue item IDs are kept apart from docId: no recording exists
+  // for them until the queue has uploaded them.
+  const queueTakes = async (queuedTakes, lastError) => {
+    const queuedIds = [...appState.queuedUploadIds];
+    for (const take of queuedTakes) {
+      const item = await enqueueUpload({
+        blob: loadTakeBlob(take),
+        fileName: buildFileName(take),
+        fileType: take.captureMode,
+        mimeType: take.mimeType,
+        lastError
+      });
+      queuedIds.push(item.id);
+      dispatch({ type: APP_ACTIONS.SET_QUEUED_UPLOAD_IDS, payload: [...queuedIds] });
+      // The queue holds its own copy now
+      releaseTake(take.id);
+    }
+    await finishSubmission(RECORDING_EVENTS.UPLOAD_QUEUED);
+  };
+
+  // An already-saved recording with the same media, or null.
+  // Duplicate detection is best-effort: failures never block the upload.
+  const findDuplicate = async (recordedBlob) => {
+    try {
+      const contentHash = await hashBlob(recordedBlob);
+      const existing = await findRecordingByHash(contentHash);
+      return { contentHash, existing };
+    } catch (error) {
+      console.warn('Duplicate check skipped:', error);
+      return { contentHash: undefined, existing: null };
+    }
+  };
+
+  // Leave the review stage in a typed, recoverable error state
+  const showUploadError = (error) => {
+    dispatch({ type: APP_ACTIONS.SET_UPLOAD_ERROR, payload: toStructuredError(error) });
+    sendRecordingEvent({ type: RECORDING_EVENTS.UPLOAD_FAILED });
+  };
+
   // Handle submit (preserves exact logic from App.js:113-177)
   const handleSubmit = async () => {
+    if (selectedTakes.length === 0) {
+      return;
+    }
+    dispatch({ type: APP_ACTIONS.SET_UPLOAD_ERROR, payload: null });
+
     try {
-      if (!recordedBlobUrl) {
-        console.warn('No recorded blob URL found.');
+      // Offline: don't even try, keep the takes safe for later
+      if (!navigator.onLine) {
+        await queueTakes(selectedTakes, null);
         return;
       }
 
-      // Convert the object URL => Blob
-      const response = await fetch(recordedBlobUrl);
-      const recordedBlob = await response.blob();
-
-      // Create a unique filename (exact same logic as App.js:125-154)
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const hours = String(now.getHours()).padStart(2, '0');
-      const mins = String(now.getMinutes()).padStart(2, '0');
-      const secs = String(now.getSeconds()).padStart(2, '0');
-
-      // Determine the correct extension based on mimeType
-      let fileExtension;
-      if (captureMode === 'video') {
-        // If actualMimeType includes 'mp4', we use .mp4, else .webm
-        if (actualMimeType?.includes('mp4')) {
-          fileExtension = 'mp4';
-        } else {
-          fileExtension = 'webm';
+      let uploading = false;
+      for (const [index, take] of selectedTakes.entries()) {
+        const recordedBlob = loadTakeBlob(take);
+
+        // Same take already saved (e.g. submitted twice): offer to reuse it
+        const { contentHash, existing } = await findDuplicate(recordedBlob);
+        if (existing && window.confirm(
+          'This recording has already been saved. Use the saved copy instead of uploading it again?'
+        )) {
+          console.log('🔁 Linked to existing recording:', existing.id);
+          rememberDocId(existing.id);
+          releaseTake(take.id);
+          continue;
         }
-      } else {
-        // Audio
-        if (actualMimeType?.includes('mp4')) {
-          // We'll use .m4a for AAC-based recordings
-          fileExtension = 'm4a';
-        } else {
-          fileExtension = 'webm';
+
+        if (!uploading) {
+          sendRecordingEvent({ type: RECORDING_EVENTS.UPLOAD });
+          uploading = true;
         }
-      }
+        dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: index / selectedTakes.length });
 
-      const fileName = `${year}-${month}-${day}_${hours}${mins}${secs}_${captureMode}.${fileExtension}`;
+        // Controller lives in a ref so the overlay's Cancel can reach it
+        const controller = new AbortController();
+        uploadControllerRef.current = controller;
 
-      dispatch({ type: APP_ACTIONS.SET_UPLOAD_IN_PROGRESS, payload: true });
-      dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: 0 });
+        // Pass the actual mimeType to uploadRecording so we set proper metadata
+        const result = await uploadRecording(
+          recordedBlob,
+          buildFileName(take),
+          take.captureMode,
+          (fraction) => dispatch({
+            type: APP_ACTIONS.SET_UPLOAD_FRACTION,
+            payload: (index + fraction) / selectedTakes.length
+          }),
+          take.mimeType,
+          { signal: controller.signal, contentHash }
+        );
 
-      // Pass the actual mimeType to uploadRecording so we set proper metadata
-      const result = await uploadRecording(
-        recordedBlob,
-        fileName,
-        captureMode,
-        (fraction) => dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: fraction }),
-        actualMimeType
-      );
+        // If successful, we have docId and downloadURL
+        rememberDocId(result.docId);
+        releaseTake(take.id);
+      }
 
-      // If successful, we have docId and downloadURL
-      dispatch({ type: APP_ACTIONS.SET_DOC_ID, payload: result.docId });
-      dispatch({ type: APP_ACTIONS.SET_UPLOAD_IN_PROGRESS, payload: false });
-      dispatch({ type: APP_ACTIONS.SET_SHOW_CONFETTI, payload: true });
+      await finishSubmission(RECORDING_EVENTS.UPLOAD_SUCCEEDED);
     } catch (error) {
+      // Cancelled by the user: back to review with the remaining takes intact
+      if (error?.type === UPLOAD_ERRORS.CANCELLED) {
+        dispatch({ type: APP_ACTIONS.SET_UPLOAD_FRACTION, payload: 0 });
+        sendRecordingEvent({ type: RECORDING_EVENTS.UPLOAD_CANCELLED });
+        return;
+      }
       console.error('Error in handleSubmit:', error);
-      alert('Something went wrong during upload.');
-      dispatch({ type: APP_ACTIONS.SET_UPLOAD_IN_PROGRESS, payload: false });
+      showUploadError(error);
+    } finally {
+      uploadControllerRef.current = null;
+    }
+  };
+
+  // Cancel button on the progress overlay
+  const handleCancelUpload = () => {
+    uploadControllerRef.current?.abort();
+  };
+
+  // "Save & upload later" from the error state => offline queue
+  const handleSaveForLater = async () => {
+    try {
+      await queueTakes(selectedTakes, appState.uploadError);
+    } catch (error) {
+      console.error('Error in handleSaveForLater:', error);
+      showUploadError(error);
     }
   };
 
-  return handleSubmit;
-}
\ No newline at end of file
+  return { handleSubmit, handleSaveForLater, handleCancelUpload };
+}
@@ -0,0 +1,115 @@
+/**
+ * zipReader.js
+ * ------------
+ * Minimal client-side ZIP reader, the counterpart of
+ * zipWriter.js. Entries are located through the central
+ * directory and returned as lazy Blob slices. Stored entries
+ * are always supported; deflated entries (archives re-zipped
+ * by an OS tool) need the browser's DecompressionStream.
+ * ZIP64 and encrypted archives are rejected.
+ */
+
+import { blobCrc32 } from './zipWriter';
+
+const EOCD_SIGNATURE = 0x06054B50;
+const CENTRAL_SIGNATURE = 0x02014B50;
+const LOCAL_SIGNATURE = 0x04034B50;
+const EOCD_MIN_BYTES = 22;
+const MAX_COMMENT_BYTES = 0xFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+async function readView(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+// The end-of-central-directory record sits in the last 22..65557 bytes
+async function findEndOfCentralDirectory(blob) {
+  const tailStart = Math.max(0, blob.size - EOCD_MIN_BYTES - MAX_COMMENT_BYTES);
+  const tail = await readView(blob, tailStart, blob.size);
+  for (let i = tail.byteLength - EOCD_MIN_BYTES; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      return {
+        count: tail.getUint16(i + 10, true),
+        size: tail.getUint32(i + 12, true),
+        offset: tail.getUint32(i + 16, true)
+      };
+    }
+  }
+  throw new Error('Not a ZIP archive');
+}
+
+async function inflate(blob) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed ZIP entries; export the archive again without compression');
+  }
+  const stream = blob.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).blob();
+}
+
+/**
+ * List the entries of a ZIP archive.
+ * @param {Blob} blob The archive
+ * @returns {Promise<Map<string, { size: number, read: function(): Promise<Blob> }>>}
+ *   Entries by path; `read()` returns the contents after a CRC check
+ */
+export async function readZip(blob) {
+  const eocd = await findEndOfCentralDirectory(blob);
+  if (eocd.offset === 0xFFFFFFFF || eocd.count === 0xFFFF) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const directory = await readView(blob, eocd.offset, eocd.offset + eocd.size);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let position = 0;
+
+  for (let i = 0; i < eocd.count; i++) {
+    if (directory.getUint32(position, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = directory.getUint16(position + 8, true);
+    const method = directory.getUint16(position + 10, true);
+    const crc = directory.getUint32(position + 16, true);
+    const compressedSize = directory.getUint32(position + 20, true);
+    const size = directory.getUint32(position + 24, true);
+    const nameLength = directory.getUint16(position + 28, true);
+    const extraLength = directory.getUint16(position + 30, true);
+    const commentLength = directory.getUint16(position + 32, true);
+    const localOffset = directory.getUint32(position + 42, true);
+    const name = decoder.decode(
+      new Uint8Array(directory.buffer, directory.byteOffset + position + 46, nameLength)
+    );
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue; // Directory entry
+
+    const read = async () => {
+      if (flags & 0x1) {
+        throw new Error(`"${name}" is encrypted`);
+      }
+      if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+        throw new Error(`"${name}" uses an unsupported compression method`);
+      }
+
+      // Local header name/extra lengths may differ from the central copy
+      const local = await readView(blob, localOffset, localOffset + 30);
+      if (local.getUint32(0, true) !== LOCAL_SIGNATURE) {
+        throw new Error(`Corrupt ZIP entry "${name}"`);
+      }
+      const dataStart = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+      const raw = blob.slice(dataStart, dataStart + compressedSize);
+      const data = method === METHOD_DEFLATED ? await inflate(raw) : raw;
+
+      if (data.size !== size || (await blobCrc32(data)) !== crc) {
+        throw new Error(`"${name}" is damaged (checksum mismatch)`);
+      }
+      return data;
+    };
+
+    entries.set(name, { size, read });
+  }
+
+  return entries;
+}
@@ -0,0 +1,133 @@
+/**
+ * zipWriter.js
+ * ------------
+ * Minimal client-side ZIP writer. Entries are stored without
+ * compression (recordings are already compressed media), so the
+ * archive is assembled from Blob slices and never needs the
+ * whole export in memory at once. No ZIP64: every entry and the
+ * archive itself must stay below 4 GB.
+ */
+
+const MAX_ZIP_BYTES = 0xFFFFFFFF;
+const CRC_READ_CHUNK_BYTES = 4 * 1024 * 1024;
+const UTF8_NAME_FLAG = 0x0800;
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a Blob, read in chunks.
+ * @param {Blob} blob
+ * @returns {Promise<number>} Unsigned CRC-32
+ */
+export async function blobCrc32(blob) {
+  let crc = 0xFFFFFFFF;
+  for (let offset = 0; offset < blob.size; offset += CRC_READ_CHUNK_BYTES) {
+    const bytes = new Uint8Array(await blob.slice(offset, offset + CRC_READ_CHUNK_BYTES).arrayBuffer());
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+function localFileHeader(nameBytes, crc, size, stamp) {
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, 0x04034B50, true);
+  header.setUint16(4, 20, true);             // version needed
+  header.setUint16(6, UTF8_NAME_FLAG, true);
+  header.setUint16(8, 0, true);              // stored
+  header.setUint16(10, stamp.time, true);
+  header.setUint16(12, stamp.day, true);
+  header.setUint32(14, crc, true);
+  header.setUint32(18, size, true);          // compressed size
+  header.setUint32(22, size, true);          // uncompressed size
+  header.setUint16(26, nameBytes.length, true);
+  header.setUint16(28, 0, true);             // extra field length
+  return header.buffer;
+}
+
+function centralDirectoryHeader(nameBytes, crc, size, stamp, offset) {
+  const header = new DataView(new ArrayBuffer(46));
+  header.setUint32(0, 0x02014B50, true);
+  header.setUint16(4, 20, true);             // version made by
+  header.setUint16(6, 20, true);             // version needed
+  header.setUint16(8, UTF8_NAME_FLAG, true);
+  header.setUint16(10, 0, true);             // stored
+  header.setUint16(12, stamp.time, true);
+  header.setUint16(14, stamp.day, true);
+  header.setUint32(16, crc, true);
+  header.setUint32(20, size, true);
+  header.setUint32(24, size, true);
+  header.setUint16(28, nameBytes.length, true);
+  // Extra/comment lengths, disk number and attributes stay zero
+  header.setUint32(42, offset, true);
+  return header.buffer;
+}
+
+function endOfCentralDirectory(count, size, offset) {
+  const record = new DataView(new ArrayBuffer(22));
+  record.setUint32(0, 0x06054B50, true);
+  record.setUint16(8, count, true);
+  record.setUint16(10, count, true);
+  record.setUint32(12, size, true);
+  record.setUint32(16, offset, true);
+  return record.buffer;
+}
+
+/**
+ * Build a ZIP archive.
+ * @param {Array<{ name: string, data: Blob|string, lastModified?: Date }>} entries
+ *   Paths inside the archive ('/' separated) and their contents
+ * @param {function} [onProgress] Called with (entriesDone, entriesTotal)
+ * @returns {Promise<Blob>} application/zip Blob
+ */
+export async function createZip(entries, onProgress) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    const { name, data, lastModified } = entries[i];
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    const nameBytes = encoder.encode(name);
+    const stamp = dosDateTime(lastModified || new Date());
+    const crc = await blobCrc32(blob);
+
+    if (offset + 30 + nameBytes.length + blob.size > MAX_ZIP_BYTES) {
+      throw new Error('Archive exceeds the 4 GB ZIP limit');
+    }
+
+    parts.push(localFileHeader(nameBytes, crc, blob.size, stamp), nameBytes, blob);
+    centralDirectory.push(centralDirectoryHeader(nameBytes, crc, blob.size, stamp, offset), nameBytes);
+    offset += 30 + nameBytes.length + blob.size;
+
+    if (onProgress) {
+      onProgress(i + 1, entries.length);
+    }
+  }
+
+  const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+  return new Blob(
+    [...parts, ...centralDirectory, endOfCentralDirectory(entries.length, directorySize, offset)],
+    { type: 'application/zip' }
+  );
+}